@@ -0,0 +1,66 @@
+import { LitElement, html } from 'lit'
+import { panelStyles } from './panel.js'
+
+/** Panel showing the identity of the connected DP100. */
+export class AboutDeviceElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    deviceInfo: { type: Object, attribute: false },
+    copied: { type: Boolean, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  render () {
+    if (!this.deviceInfo) {
+      return html`<p>Connect a device to see its details.</p>`
+    }
+    const info = this.deviceInfo
+    return html`
+      <table>
+        <tr>
+          <th><label for="label">Label</label></th>
+          <td>
+            <input id="label" placeholder=${`SN ${info.serialNumber}`} value=${this.psu.label}
+                   @change=${(event) => this.psu.rename(event.target.value.trim())}>
+          </td>
+        </tr>
+        <tr><th>Device</th><td>${info.deviceName}</td></tr>
+        <tr><th>Serial number</th><td>${info.serialNumber}</td></tr>
+        <tr><th>Hardware version</th><td>${info.hardwareVersion.toFixed(1)}</td></tr>
+        <tr><th>Firmware version</th><td>${info.firmwareVersion.toFixed(1)}</td></tr>
+        <tr><th>Boot version</th><td>${info.bootVersion}</td></tr>
+        <tr><th>Run version</th><td>${info.runVersion}</td></tr>
+        <tr><th>Manufactured</th><td>${this.manufacturingDate}</td></tr>
+      </table>
+      <p>
+        <button @click=${this.copy.bind(this)}>${this.copied ? 'Copied' : 'Copy for bug report'}</button>
+      </p>
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+    `
+  }
+
+  get manufacturingDate () {
+    const { year, month, day } = this.deviceInfo
+    return [year, month, day].map((value, i) => String(value).padStart(i ? 2 : 4, '0')).join('-')
+  }
+
+  async copy () {
+    const info = this.deviceInfo
+    this.error = null
+    try {
+      await navigator.clipboard.writeText([
+        `Device: ${this.psu.deviceTag}`,
+        `Hardware: ${info.hardwareVersion.toFixed(1)}, Boot: ${info.bootVersion}, Run: ${info.runVersion}`,
+        `Manufactured: ${this.manufacturingDate}`,
+        `User agent: ${navigator.userAgent}`,
+      ].join('\n'))
+      this.copied = true
+    } catch (error) {
+      this.copied = false
+      this.error = `Could not copy: ${error.message}`
+    }
+  }
+}
+
+customElements.define('dp100-about', AboutDeviceElement)
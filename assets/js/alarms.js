@@ -0,0 +1,117 @@
+import { LitElement, html } from 'lit'
+import { ALARM_SOURCES, describeRule } from './monitor.js'
+import { panelStyles } from './panel.js'
+
+/** Panel to edit the alarm rules and review the alarm history. */
+export class AlarmsElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    rules: { type: Array, attribute: false },
+    history: { type: Array, attribute: false },
+    source: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  constructor () {
+    super()
+    this.source = 'iOut'
+  }
+
+  render () {
+    const { value, unit } = ALARM_SOURCES[this.source]
+    return html`
+      ${this.rules?.length ? html`
+        <table>
+          ${this.rules.map(rule => html`
+            <tr>
+              <td><input type="checkbox" .checked=${rule.enabled} title="Enabled"
+                         @change=${(event) => this.changeRule(rule, { enabled: event.target.checked })}></td>
+              <td>${describeRule(rule)}</td>
+              <td>${this.actions(rule)}</td>
+              <td><button @click=${() => this.deleteRule(rule)}>Delete</button></td>
+            </tr>
+          `)}
+        </table>
+      ` : html`<p>No alarms configured.</p>`}
+      <form @submit=${this.addRule.bind(this)}>
+        <label for="source">When</label>
+        <select id="source" name="source" @change=${(event) => { this.source = event.target.value }}>
+          ${Object.entries(ALARM_SOURCES).map(([key, { label }]) => html`
+            <option value=${key} ?selected=${key === this.source}>${label}</option>
+          `)}
+        </select>
+        ${value ? html`
+          <label for="condition">is</label>
+          <select id="condition" name="condition">
+            <option value="above">above</option>
+            <option value="below">below</option>
+          </select>
+          <label for="threshold">Threshold (${unit})</label>
+          <input type="number" id="threshold" name="threshold" step="any" required>
+        ` : ''}
+        <label for="notify">Notification</label>
+        <input type="checkbox" id="notify" name="notify">
+        <label for="beep">Beep</label>
+        <input type="checkbox" id="beep" name="beep" checked>
+        <label for="off">Switch output off</label>
+        <input type="checkbox" id="off" name="off">
+        <div class="actions">
+          <button type="submit">Add alarm</button>
+        </div>
+      </form>
+      ${this.history?.length ? html`
+        <h3>History</h3>
+        <ul>
+          ${[...this.history].reverse().map(entry => html`
+            <li>${new Date(entry.time).toLocaleTimeString()} ${entry.message}</li>
+          `)}
+        </ul>
+        <div class="actions">
+          <button @click=${() => this.psu.alarms.clear()}>Clear history</button>
+        </div>
+      ` : ''}
+    `
+  }
+
+  /**
+   * List a rule's actions.
+   *
+   * @param {Object} rule - The alarm rule.
+   * @returns {String} - E.g. `notify, beep`.
+   */
+  actions (rule) {
+    return [rule.notify && 'notify', rule.beep && 'beep', rule.off && 'output off'].filter(Boolean).join(', ')
+  }
+
+  async addRule (event) {
+    event.preventDefault()
+    const form = event.target
+    const rule = {
+      id: Date.now(),
+      enabled: true,
+      source: form.source.value,
+      notify: form.notify.checked,
+      beep: form.beep.checked,
+      off: form.off.checked,
+    }
+    if (form.threshold) {
+      rule.condition = form.condition.value
+      rule.threshold = form.threshold.valueAsNumber
+    }
+    if (rule.notify && globalThis.Notification?.permission === 'default') {
+      await Notification.requestPermission()
+    }
+    this.psu.setAlarmRules([...this.rules, rule])
+    form.reset()
+  }
+
+  changeRule (rule, changes) {
+    this.psu.setAlarmRules(this.rules.map(other => other === rule ? { ...rule, ...changes } : other))
+  }
+
+  deleteRule (rule) {
+    this.psu.setAlarmRules(this.rules.filter(other => other !== rule))
+  }
+}
+
+customElements.define('dp100-alarms', AlarmsElement)
@@ -0,0 +1,177 @@
+import { LitElement, html, css } from 'lit'
+import { AppUpdates } from './offline.js'
+import { WebHIDTransport } from './transport.js'
+import './ui.js'
+
+/**
+ * Several DP100 units on one page.
+ *
+ * Each unit is a `<dp100-element>` with its own readings, setpoints and graph. The bench adds
+ * units, shows their combined output power and switches all outputs off at once.
+ */
+export class DP100BenchElement extends LitElement {
+  static properties = {
+    units: { type: Array, state: true },  // the DP100 elements on the bench
+    error: { type: String, state: true },
+    updateAvailable: { type: Boolean, state: true },
+    version: { type: String, state: true },
+  }
+  static styles = css`
+    :host {
+      display: flex;
+      flex-direction: column;
+      height: 100vh;
+    }
+
+    header {
+      display: flex;
+      align-items: center;
+      gap: 1em;
+      padding: 0 1em;
+      min-height: 2.5em;
+    }
+
+    header .spacer {
+      flex: 1;
+    }
+
+    main {
+      flex: 1;
+      overflow-y: auto;
+    }
+
+    .unit {
+      position: relative;
+    }
+
+    .unit > button {
+      position: absolute;
+      top: 0.5em;
+      left: 0.5em;
+      z-index: 2;
+    }
+
+    dp100-element {
+      --dp100-height: max(50vh, calc((100vh - 2.5em) / var(--units)));
+    }
+
+    .error {
+      color: rgb(200 0 0);
+    }
+
+    .version {
+      opacity: 0.6;
+    }
+  `
+
+  constructor () {
+    super()
+    this.units = []
+    this.addUnit()
+    this.updateAvailable = false
+    this.updates = new AppUpdates()
+    this.updates.addEventListener('update', () => { this.updateAvailable = true })
+  }
+
+  /** Render at most once per animation frame, every unit's readings request an update. */
+  async scheduleUpdate () {
+    await new Promise(resolve => requestAnimationFrame(resolve))
+    super.scheduleUpdate()
+  }
+
+  render () {
+    const connected = this.units.filter(psu => psu.device)
+    const power = connected.reduce((sum, psu) => sum + (psu.info ? psu.info.vOut * psu.info.iOut : 0), 0)
+    return html`
+      <header>
+        ${connected.length > 1 ? html`
+          <span>${connected.length} units, total <strong>${power.toFixed(3)} W</strong></span>
+          <button @click=${this.allOutputsOff.bind(this)}>All outputs off</button>
+        ` : ''}
+        ${this.error ? html`<span class="error">${this.error}</span>` : ''}
+        ${this.updateAvailable ? html`
+          <span>A new version is available.</span>
+          <button @click=${this.update.bind(this)}>Reload</button>
+        ` : ''}
+        <span class="spacer"></span>
+        ${this.version ? html`<span class="version">v${this.version}</span>` : ''}
+        <button @click=${this.addUnit.bind(this)}>+ Add unit</button>
+      </header>
+      <main style="--units: ${this.units.length}">
+        ${this.units.map(psu => html`
+          <div class="unit">
+            ${this.units.length > 1 ? html`
+              <button title="Remove unit" @click=${() => this.removeUnit(psu)}>✕</button>
+            ` : ''}
+            ${psu}
+          </div>
+        `)}
+      </main>
+    `
+  }
+
+  /** Add a unit for every granted device, each unit then restores one of them. */
+  async firstUpdated () {
+    this.updates.register()
+      .then(() => this.updates.version())
+      .then(version => { this.version = version })
+      .catch(error => console.error(error))
+    try {
+      const devices = await new WebHIDTransport().getDevices()
+      for (let i = 1; i < devices.length; i++) {
+        this.addUnit()
+      }
+    } catch (error) {
+      console.error(error)
+    }
+  }
+
+  addUnit () {
+    const psu = document.createElement('dp100-element')
+    for (const type of ['basicinfo', 'connect', 'disconnect']) {
+      psu.addEventListener(type, () => this.requestUpdate())
+    }
+    this.units = [...this.units, psu]
+  }
+
+  /**
+   * Disconnect a unit and remove it from the bench.
+   *
+   * Its sequence, sweep, charge and timer are stopped first, they would otherwise keep running
+   * without a way to stop them. A timed output and a charge switch the output off as they stop.
+   *
+   * @param {DP100Element} psu - The unit to remove.
+   */
+  async removeUnit (psu) {
+    this.units = this.units.filter(unit => unit !== psu)
+    await psu.stopJobs('unit removed')
+    if (psu.recording) {
+      await psu.stopRecording().catch(error => console.error(error))
+    }
+    psu.resizeObserver?.disconnect()
+    psu.disconnect()
+  }
+
+  /** Reload into the new version, after confirming if a unit is busy. */
+  update () {
+    const busy = this.units.some(psu => psu.recording || psu.outputTimer.running || psu.settings?.state)
+    if (!busy || confirm('Reloading disconnects all units and stops running recordings. Reload anyway?')) {
+      this.updates.apply()
+    }
+  }
+
+  /** Switch the outputs of all connected units off, stopping their timers, sequences, sweeps and charges. */
+  async allOutputsOff () {
+    this.error = null
+    const results = await Promise.allSettled(
+      this.units.filter(psu => psu.device).map(psu => psu.switchOff('all outputs off'))
+    )
+    const failed = results.filter(result => result.status === 'rejected')
+    if (failed.length) {
+      console.error(...failed.map(result => result.reason))
+      this.error = `Could not switch ${failed.length} output(s) off`
+    }
+  }
+}
+
+customElements.define('dp100-bench', DP100BenchElement)
@@ -0,0 +1,203 @@
+import { outputState } from './dp100.js'
+import { maxGapFor, Statistics } from './metrics.js'
+
+/** Battery chemistry profiles with their charge voltage per cell and defaults. */
+export const CHEMISTRIES = Object.freeze({
+  'li-ion': Object.freeze({ label: 'Li-ion / LiPo', cellVoltage: 4.2 }),
+  'li-ion-hv': Object.freeze({ label: 'Li-ion HV', cellVoltage: 4.35 }),
+  'lifepo4': Object.freeze({ label: 'LiFePO4', cellVoltage: 3.65 }),
+  'lead-acid': Object.freeze({ label: 'Lead-acid (absorption)', cellVoltage: 2.4 }),
+  'custom': Object.freeze({ label: 'Custom', cellVoltage: null }),
+})
+
+/**
+ * Resolve a charge profile from the user's choices.
+ *
+ * @param {Object} options
+ * @param {String} options.chemistry - A key of {@link CHEMISTRIES}.
+ * @param {Number} options.cells - Number of cells in series.
+ * @param {Number} options.voltage - Charge voltage in V, required for the custom chemistry.
+ * @param {Number} options.current - Charge current limit in A.
+ * @param {Number} options.termination - Termination current in A, defaults to 10% of the current limit.
+ * @param {Number} options.timeout - Safety timer in minutes.
+ * @returns {{voltage: Number, current: Number, termination: Number, timeout: Number}} - The profile.
+ * @throws {RangeError} - If the profile is outside of what the DP100 can do.
+ */
+export function chargeProfile ({ chemistry = 'li-ion', cells = 1, voltage, current, termination, timeout = 240 }) {
+  const { cellVoltage } = CHEMISTRIES[chemistry] ?? {}
+  if (cellVoltage === undefined) {
+    throw new RangeError(`Unknown chemistry ${chemistry}`)
+  }
+  const profile = {
+    voltage: cellVoltage === null ? voltage : Math.round(cellVoltage * cells * 1000) / 1000,
+    current,
+    termination: termination ?? current / 10,
+    timeout,
+  }
+  if (!(profile.voltage > 0 && profile.voltage <= 30)) {
+    throw new RangeError('Charge voltage must be between 0 and 30 V')
+  }
+  if (!(profile.current > 0 && profile.current <= 5)) {
+    throw new RangeError('Charge current must be between 0 and 5 A')
+  }
+  if (!(profile.termination > 0 && profile.termination < profile.current)) {
+    throw new RangeError('Termination current must be between 0 A and the charge current')
+  }
+  if (!(profile.timeout > 0)) {
+    throw new RangeError('Safety timer must be positive')
+  }
+  return profile
+}
+
+/**
+ * Supervises a CC/CV battery charge on a DP100.
+ *
+ * The charge starts in constant current, continues in constant voltage once the battery
+ * reaches the charge voltage and ends, with the output switched off, once the current
+ * stays below the termination current. The safety timer, an output fault, an over-voltage
+ * or the output being switched off end the charge as well. The delivered charge and energy
+ * are integrated from the readings, see {@link Statistics}.
+ *
+ * Dispatches `progress` events with the current {@link BatteryCharger#status} as their detail
+ * and an `end` event once the charge is over.
+ *
+ * @example
+ *
+ * const charger = new BatteryCharger(psu)
+ * charger.addEventListener('end', (event) => console.log(event.detail.reason, event.detail.mAh))
+ * await charger.start(chargeProfile({ chemistry: 'li-ion', cells: 2, current: 1 }))
+ */
+export class BatteryCharger extends EventTarget {
+  tick = 100  // ms between checks
+  terminationHold = 5  // s the current must stay below termination
+  log = []
+
+  /**
+   * @param {Object} psu - A connected DP100 instance.
+   */
+  constructor (psu) {
+    super()
+    this.psu = psu
+    this.phase = 'idle'  // idle, cc, cv or done
+    this.statistics = new Statistics()
+    this.receiveBasicInfo = ({ detail: { vOut, iOut } }) => {
+      // integrated per reading, so a missed poll isn't counted twice and a gap not at all
+      this.statistics.add({ t: performance.now() / 1000, v: vOut, i: iOut })
+      const { mAh, Wh } = this.statistics.result
+      this.mAh = mAh
+      this.Wh = Wh
+    }
+  }
+
+  /** The charge's status, including the delivered charge in mAh and energy in Wh. */
+  get status () {
+    return {
+      phase: this.phase,
+      profile: this.profile,
+      elapsed: this.started ? (this.lastSample - this.started) / 1000 : 0,
+      mAh: this.mAh,
+      Wh: this.Wh,
+      vOut: this.psu.info?.vOut,
+      iOut: this.psu.info?.iOut,
+      reason: this.reason,
+    }
+  }
+
+  /**
+   * Start charging.
+   *
+   * @param {Object} profile - The charge profile, see {@link chargeProfile}.
+   */
+  async start (profile) {
+    if (this.phase === 'cc' || this.phase === 'cv') {
+      throw new Error('A charge is already running')
+    }
+    this.profile = profile
+    this.mAh = 0
+    this.Wh = 0
+    this.reason = null
+    this.log = []
+    this.below = 0
+    await this.psu.setBasicOutput({ state: 0, vo_set: profile.voltage, io_set: profile.current })
+    await this.psu.setBasicOutput({ state: 1 })
+    this.statistics = new Statistics({ maxGap: maxGapFor(this.psu.refreshRate) })
+    this.psu.addEventListener('basicinfo', this.receiveBasicInfo)
+    this.started = this.lastSample = Date.now()
+    this.phase = 'cc'
+    this.record(`Charging to ${profile.voltage} V at ${profile.current} A`)
+    this.interval = setInterval(() => this.check(), this.tick)
+  }
+
+  /**
+   * Stop charging and switch the output off.
+   *
+   * @param {String} reason - Why the charge ended.
+   */
+  async stop (reason = 'stopped') {
+    if (this.phase !== 'cc' && this.phase !== 'cv') {
+      return
+    }
+    clearInterval(this.interval)
+    this.psu.removeEventListener('basicinfo', this.receiveBasicInfo)
+    this.phase = 'done'
+    this.reason = reason
+    this.record(`Charge ${reason}: ${this.mAh.toFixed(1)} mAh, ${this.Wh.toFixed(3)} Wh`)
+    try {
+      await this.psu.setBasicOutput({ state: 0 })
+    } finally {
+      this.dispatchEvent(new CustomEvent('end', { detail: this.status }))
+    }
+  }
+
+  /** Check the termination criteria. */
+  check () {
+    const info = this.psu.info
+    const now = Date.now()
+    const dt = (now - this.lastSample) / 1000
+    this.lastSample = now
+    if (!info || !this.psu.device) {
+      this.stop('disconnected').catch(error => console.error(error))
+      return
+    }
+    const state = outputState(info)
+    if (state.fault) {
+      this.stop(`fault (${state.name})`).catch(error => console.error(error))
+      return
+    }
+    // once off, the DP100 reports CV at about 0 A, which would otherwise pass for a completed charge
+    if (!this.psu.settings?.state) {
+      this.stop('output switched off').catch(error => console.error(error))
+      return
+    }
+    if (info.vOut > this.profile.voltage * 1.05) {
+      this.stop('over-voltage').catch(error => console.error(error))
+      return
+    }
+    if ((now - this.started) / 1000 / 60 > this.profile.timeout) {
+      this.stop('timed out').catch(error => console.error(error))
+      return
+    }
+    if (this.phase === 'cc' && state.name === 'CV') {
+      this.phase = 'cv'
+      this.record(`Constant voltage after ${this.mAh.toFixed(1)} mAh`)
+    }
+    if (this.phase === 'cv') {
+      this.below = info.iOut < this.profile.termination ? this.below + dt : 0
+      if (this.below >= this.terminationHold) {
+        this.stop('complete').catch(error => console.error(error))
+        return
+      }
+    }
+    this.dispatchEvent(new CustomEvent('progress', { detail: this.status }))
+  }
+
+  /**
+   * Add an entry to the charge log.
+   *
+   * @param {String} message - What happened.
+   */
+  record (message) {
+    this.log = [...this.log, { time: Date.now(), message, mAh: this.mAh, Wh: this.Wh }]
+    console.info('BatteryCharger', message)
+  }
+}
@@ -0,0 +1,92 @@
+import { LitElement, html } from 'lit'
+import { CHEMISTRIES, chargeProfile } from './charger.js'
+import { panelStyles } from './panel.js'
+
+/** Panel to configure and supervise a battery charge. */
+export class ChargingElement extends LitElement {
+  static properties = {
+    charger: { type: Object, attribute: false },
+    status: { type: Object, attribute: false },
+    chemistry: { type: String, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  constructor () {
+    super()
+    this.chemistry = 'li-ion'
+  }
+
+  render () {
+    const charging = this.status?.phase === 'cc' || this.status?.phase === 'cv'
+    const custom = this.chemistry === 'custom'
+    return html`
+      <form @submit=${this.start.bind(this)}>
+        <label for="chemistry">Chemistry</label>
+        <select id="chemistry" name="chemistry" ?disabled=${charging}
+                @change=${(event) => { this.chemistry = event.target.value }}>
+          ${Object.entries(CHEMISTRIES).map(([key, { label, cellVoltage }]) => html`
+            <option value=${key} ?selected=${key === this.chemistry}>
+              ${label}${cellVoltage ? ` (${cellVoltage} V/cell)` : ''}
+            </option>
+          `)}
+        </select>
+        <label for="cells">Cells in series</label>
+        <input type="number" id="cells" name="cells" value="1" min="1" max="8" step="1"
+               ?disabled=${charging || custom} required>
+        <label for="voltage">Charge voltage (V)</label>
+        <input type="number" id="voltage" name="voltage" min="0.1" max="30" step="0.001"
+               ?disabled=${charging || !custom} ?required=${custom}>
+        <label for="current">Current limit (A)</label>
+        <input type="number" id="current" name="current" value="1" min="0.01" max="5" step="0.001"
+               ?disabled=${charging} required>
+        <label for="termination">Termination current (A)</label>
+        <input type="number" id="termination" name="termination" min="0.001" max="5" step="0.001"
+               placeholder="10% of the limit" ?disabled=${charging}>
+        <label for="timeout">Safety timer (min)</label>
+        <input type="number" id="timeout" name="timeout" value="240" min="1" step="1" ?disabled=${charging} required>
+        <div class="actions">
+          ${charging
+            ? html`<button type="button" @click=${() => this.charger.stop()}>Stop</button>`
+            : html`<button type="submit" ?disabled=${!this.charger.psu.device}>Start charging</button>`}
+        </div>
+      </form>
+      ${this.status && this.status.phase !== 'idle' ? html`
+        <table>
+          <tr><th>Phase</th><td>${this.status.phase.toUpperCase()} ${this.status.reason ?? ''}</td></tr>
+          <tr><th>Elapsed</th><td>${(this.status.elapsed / 60).toFixed(1)} min</td></tr>
+          <tr><th>Charge</th><td>${this.status.mAh.toFixed(1)} mAh</td></tr>
+          <tr><th>Energy</th><td>${this.status.Wh.toFixed(3)} Wh</td></tr>
+        </table>
+      ` : ''}
+      ${this.charger.log.length ? html`
+        <ul>
+          ${this.charger.log.map(entry => html`
+            <li>${new Date(entry.time).toLocaleTimeString()} ${entry.message}</li>
+          `)}
+        </ul>
+      ` : ''}
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+    `
+  }
+
+  async start (event) {
+    event.preventDefault()
+    const form = event.target
+    this.error = null
+    try {
+      await this.charger.start(chargeProfile({
+        chemistry: form.chemistry.value,
+        cells: form.cells.valueAsNumber,
+        voltage: form.voltage.valueAsNumber,
+        current: form.current.valueAsNumber,
+        termination: Number.isNaN(form.termination.valueAsNumber) ? undefined : form.termination.valueAsNumber,
+        timeout: form.timeout.valueAsNumber,
+      }))
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+}
+
+customElements.define('dp100-charging', ChargingElement)
@@ -0,0 +1,185 @@
+import uplot from 'uplot'
+import { LitElement, html, css } from 'lit'
+import { download } from './export.js'
+import { panelStyles, uplotStyles } from './panel.js'
+import { curveToCSV } from './tracer.js'
+
+const storageKey = 'dp100.curves'
+const colors = ['rgb(250, 200, 0)', 'green', 'rgb(0, 120, 250)', 'rgb(200, 0, 200)', 'rgb(200, 0, 0)', 'gray']
+
+/** Panel to run I-V sweeps, plot them as current versus voltage and compare them with earlier ones. */
+export class CurvesElement extends LitElement {
+  static properties = {
+    tracer: { type: Object, attribute: false },
+    progress: { type: Object, attribute: false },
+    curves: { type: Array, state: true },
+    live: { type: Object, state: true },
+    param: { type: String, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = [panelStyles, css`
+    #plot {
+      min-height: 300px;
+    }
+  `]
+
+  constructor () {
+    super()
+    this.curves = JSON.parse(localStorage.getItem(storageKey) ?? '[]')
+    this.param = 'vo_set'
+    this.receivePoint = (event) => {
+      const live = this.live ?? { name: 'Sweep', points: [] }
+      this.live = { ...live, points: [...live.points, event.detail] }
+    }
+  }
+
+  connectedCallback () {
+    super.connectedCallback()
+    this.tracer.addEventListener('point', this.receivePoint)
+  }
+
+  disconnectedCallback () {
+    super.disconnectedCallback()
+    this.tracer.removeEventListener('point', this.receivePoint)
+    this.plot?.destroy()
+    this.plot = null
+  }
+
+  render () {
+    const running = this.progress?.running
+    const voltage = this.param === 'vo_set'
+    return html`
+      <link href=${uplotStyles} rel="stylesheet">
+      <form @submit=${this.start.bind(this)}>
+        <label for="label">Name</label>
+        <input id="label" name="label" placeholder="e.g. Red LED" ?disabled=${running}>
+        <label for="param">Sweep</label>
+        <select id="param" name="param" ?disabled=${running}
+                @change=${(event) => { this.param = event.target.value }}>
+          <option value="vo_set" ?selected=${voltage}>Voltage</option>
+          <option value="io_set" ?selected=${!voltage}>Current</option>
+        </select>
+        <label for="from">From (${voltage ? 'V' : 'A'})</label>
+        <input type="number" id="from" name="from" value="0" min="0" max=${voltage ? 30 : 5} step="0.001"
+               ?disabled=${running} required>
+        <label for="to">To (${voltage ? 'V' : 'A'})</label>
+        <input type="number" id="to" name="to" value=${voltage ? 3 : 0.02} min="0" max=${voltage ? 30 : 5} step="0.001"
+               ?disabled=${running} required>
+        <label for="limit">${voltage ? 'Current limit (A)' : 'Voltage limit (V)'}</label>
+        <input type="number" id="limit" name="limit" value=${voltage ? 0.02 : 5} min="0.001" max=${voltage ? 5 : 30}
+               step="0.001" ?disabled=${running} required>
+        <label for="steps">Steps</label>
+        <input type="number" id="steps" name="steps" value="30" min="1" max="1000" step="1"
+               ?disabled=${running} required>
+        <label for="settle">Settle time (s)</label>
+        <input type="number" id="settle" name="settle" value="0.2" min="0" step="0.01" ?disabled=${running} required>
+        <label for="average">Readings to average</label>
+        <input type="number" id="average" name="average" value="5" min="1" step="1" ?disabled=${running} required>
+        <div class="actions">
+          ${running
+            ? html`<button type="button" @click=${() => this.tracer.stop()}>Stop</button>
+                   <progress value=${this.progress.index} max=${this.progress.steps}></progress>`
+            : html`<button type="submit" ?disabled=${!this.tracer.psu.device}>Start sweep</button>`}
+        </div>
+      </form>
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+      <div id="plot"></div>
+      ${this.curves.length ? html`
+        <table>
+          ${this.curves.map(curve => html`
+            <tr>
+              <td><input type="checkbox" title="Overlay" .checked=${curve.shown}
+                         @change=${(event) => this.save(this.curves.map(other => other === curve
+                           ? { ...curve, shown: event.target.checked } : other))}></td>
+              <td>${curve.name}</td>
+              <td>${curve.points.length} points</td>
+              <td>
+                <button @click=${() => download(`${curve.name}.csv`, curveToCSV(curve), 'text/csv')}>CSV</button>
+                <button @click=${() => this.save(this.curves.filter(other => other !== curve))}>Delete</button>
+              </td>
+            </tr>
+          `)}
+        </table>
+      ` : ''}
+    `
+  }
+
+  updated (changedProperties) {
+    if (changedProperties.has('curves') || changedProperties.has('live')) {
+      this.draw()
+    }
+  }
+
+  /** (Re)create the plot of the live and the shown curves. */
+  draw () {
+    const curves = [...this.curves.filter(curve => curve.shown), ...(this.live ? [this.live] : [])]
+      .filter(curve => curve.points.length)
+    this.plot?.destroy()
+    this.plot = null
+    if (!curves.length) {
+      return
+    }
+    const tables = curves.map(({ points }) => {
+      const sorted = [...points].sort((a, b) => a.v - b.v)
+      return [sorted.map(point => point.v), sorted.map(point => point.i)]
+    })
+    const element = this.shadowRoot.querySelector('#plot')
+    this.plot = new uplot({
+      width: Math.max(300, element.offsetWidth),
+      height: 300,
+      scales: { x: { time: false } },
+      series: [
+        { label: 'Voltage', value: (self, rawValue) => rawValue === null ? 'N/A' : `${rawValue.toFixed(3)}V` },
+        ...curves.map((curve, index) => ({
+          label: curve.name,
+          stroke: colors[index % colors.length],
+          width: 2,
+          spanGaps: true,
+          points: { show: true },
+          value: (self, rawValue) => rawValue === null ? 'N/A' : `${rawValue.toFixed(4)}A`,
+        })),
+      ],
+      axes: [
+        { label: 'Voltage (V)' },
+        { label: 'Current (A)' },
+      ],
+    }, uplot.join(tables), element)
+  }
+
+  async start (event) {
+    event.preventDefault()
+    const form = event.target
+    this.error = null
+    const sweep = {
+      name: form.label.value.trim(),
+      param: form.param.value,
+      from: form.from.valueAsNumber,
+      to: form.to.valueAsNumber,
+      limit: form.limit.valueAsNumber,
+      steps: form.steps.valueAsNumber,
+      settle: form.settle.valueAsNumber,
+      average: form.average.valueAsNumber,
+    }
+    this.live = { name: sweep.name || 'Sweep', points: [] }
+    try {
+      const curve = await this.tracer.run(sweep)
+      this.save([...this.curves, { ...curve, shown: true }])
+    } catch (error) {
+      this.error = error.message
+    } finally {
+      this.live = null
+    }
+  }
+
+  /**
+   * Replace the stored curves.
+   *
+   * @param {Object[]} curves - The curves, see {@link CurveTracer#run}, with their overlay state `shown`.
+   */
+  save (curves) {
+    this.curves = curves
+    localStorage.setItem(storageKey, JSON.stringify(curves))
+  }
+}
+
+customElements.define('dp100-curves', CurvesElement)
@@ -0,0 +1,40 @@
+/**
+ * Downsample a recording with min/max decimation.
+ *
+ * The samples are split into buckets of equal size. Each bucket is replaced by two rows,
+ * at the bucket's first and last timestamp, holding each column's minimum and maximum
+ * in the order they occurred. Unlike averaging, this preserves spikes.
+ *
+ * @param {Object<string, Number[]>} samples - The recording's columns, including the timestamps `t`.
+ * @param {Number} buckets - The number of buckets, the result has at most twice as many rows.
+ * @returns {Object<string, Number[]>} - The downsampled columns, or the samples if they are short enough.
+ */
+export function decimate (samples, buckets) {
+  const length = samples.t.length
+  if (length <= buckets * 2) {
+    return samples
+  }
+  const keys = Object.keys(samples).filter(key => key !== 't')
+  const result = Object.fromEntries(Object.keys(samples).map(key => [key, []]))
+  const size = length / buckets
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    const start = Math.floor(bucket * size)
+    const end = Math.floor((bucket + 1) * size)
+    result.t.push(samples.t[start], samples.t[end - 1])
+    for (const key of keys) {
+      const values = samples[key]
+      let min = start, max = start
+      for (let row = start + 1; row < end; row++) {
+        if (values[row] < values[min]) {
+          min = row
+        }
+        if (values[row] > values[max]) {
+          max = row
+        }
+      }
+      const [first, second] = min <= max ? [min, max] : [max, min]
+      result[key].push(values[first], values[second])
+    }
+  }
+  return result
+}
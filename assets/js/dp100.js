@@ -1,5 +1,7 @@
-const vendorId = 11836, productId = 44801  // DP100's HID IDs
-const deviceAddr = 251  // DP100's device address
+import { INTERLOCKS, checkReadings, checkSettings } from './interlocks.js'
+import { WebHIDTransport } from './transport.js'
+
+export const deviceAddr = 251  // DP100's device address
 
 /**
  * Calculate the buffers CRC-16/MODBUS checksum.
@@ -25,8 +27,11 @@ export function crc16 (buffer) {
   return crc
 }
 
+/** Devices attached to any DP100 instance, so that several instances never share a device. */
+const devicesInUse = new WeakSet()
+
 /** DP100 Modbus Function IDs */
-const FUNCTIONS = Object.freeze({
+export const FUNCTIONS = Object.freeze({
   DEVICE_INFO: 0x10,  // 16
   FIRM_INFO: 0x11,  // 17
   START_TRANS: 0x12,  // 18
@@ -43,65 +48,477 @@ const FUNCTIONS = Object.freeze({
   NONE: 0xFF  // 255
 })
 
-const MAGIC_BYTES = Object.freeze({
+/**
+ * Look up the name of a function ID.
+ *
+ * @param {Number} functionId - The function ID.
+ * @returns {String} - The function's name, e.g. `BASIC_INFO`.
+ */
+export function functionName (functionId) {
+  return Object.keys(FUNCTIONS).find(key => FUNCTIONS[key] === functionId) ?? `0x${functionId.toString(16)}`
+}
+
+export const MAGIC_BYTES = Object.freeze({
   OUTPUT: 0x20,  // 32
   SETTING: 0x40,  // 64
   READ: 0x80  // 128
 })
 
+/** Regulation modes of the output, reported as `outMode` in the basic info. */
+export const OUTPUT_MODES = Object.freeze({
+  CC: 0,  // constant current
+  CV: 1,  // constant voltage
+  PROTECTED: 2,  // a protection switched the output off, see PROTECTIONS
+})
+
+/** Protections of the DP100, reported as `workSt` in the basic info while the output is protected. */
+export const PROTECTIONS = Object.freeze({
+  NONE: 0,
+  OVP: 1,  // over-voltage, see `ovp_set` of the basic settings
+  OCP: 2,  // over-current, see `ocp_set` of the basic settings
+  OPP: 3,  // over-power, see `opp` of the system settings
+  OTP: 4,  // over-temperature, see `otp` of the system settings
+  REP: 5,  // reverse polarity at the output, see `reverse_protection` of the system settings
+  UVP: 6,  // input under-voltage
+})
+
+/** The states of the output, see {@link outputState}. */
+export const OUTPUT_STATES = Object.freeze({
+  CC: 'Constant current',
+  CV: 'Constant voltage',
+  OVP: 'Over-voltage protection',
+  OCP: 'Over-current protection',
+  OPP: 'Over-power protection',
+  OTP: 'Over-temperature protection',
+  REP: 'Reverse polarity protection',
+  UVP: 'Input under-voltage protection',
+  UNKNOWN: 'Unknown state',
+})
+
+/**
+ * Name the state of the output.
+ *
+ * Codes this driver doesn't know are reported as `UNKNOWN`, a fault if the output is protected.
+ *
+ * @param {Object} info - The basic info, see {@link receiveBasicInfo}.
+ * @returns {{name: String, description: String, fault: Boolean, code: String}} - The state's `name`,
+ *   a key of {@link OUTPUT_STATES}, whether it is a `fault` and the raw `code` as `outMode/workSt`.
+ */
+export function outputState ({ outMode, workSt }) {
+  let name = 'UNKNOWN'
+  if (outMode === OUTPUT_MODES.CC || outMode === OUTPUT_MODES.CV) {
+    name = outMode === OUTPUT_MODES.CC ? 'CC' : 'CV'
+  } else if (outMode === OUTPUT_MODES.PROTECTED && workSt !== PROTECTIONS.NONE) {
+    name = Object.keys(PROTECTIONS).find(key => PROTECTIONS[key] === workSt) ?? name
+  }
+  return {
+    name,
+    description: OUTPUT_STATES[name],
+    fault: outMode === OUTPUT_MODES.PROTECTED,
+    code: `${outMode}/${workSt}`,
+  }
+}
+
+/**
+ * Number of preset groups, M0 to M9.
+ *
+ * Groups are addressed by the low nibble of the BASIC_SET operation byte.
+ * Group 0 holds the active output setting, presets are stored in the groups 1 to 10.
+ */
+export const PRESETS = 10
+
+/**
+ * Get the BASIC_SET group of a preset.
+ *
+ * @param {Number} index - The preset's index, 0 for M0 to 9 for M9.
+ * @returns {Number} - The group.
+ * @throws {RangeError} - If there is no such preset.
+ */
+function presetGroup (index) {
+  if (!(Number.isInteger(index) && index >= 0 && index < PRESETS)) {
+    throw new RangeError(`Preset must be between 0 and ${PRESETS - 1}, got ${index}`)
+  }
+  return index + 1
+}
+
+/**
+ * Firmware payload per DATA_TRANS frame in bytes.
+ *
+ * Firmware upgrades are sent as follows, each step is acknowledged by the device:
+ * 1. START_TRANS with the image's size (uint32) and CRC-16/MODBUS (uint16).
+ * 2. DATA_TRANS for each chunk, the frame's sequence number counts the chunks.
+ * 3. END_TRANS with 1 to commit the verified image or 0 to cancel the transfer.
+ * 4. DEV_UPGRADE to apply the committed image.
+ *
+ * These payload layouts are implemented by the simulator, but have not been
+ * confirmed on physical hardware yet.
+ */
+export const FIRMWARE_CHUNK_SIZE = 56
+
+/** Valid ranges for the system settings, see {@link receiveSystemInfo}. */
+export const SYSTEM_LIMITS = Object.freeze({
+  backlight: Object.freeze({ min: 0, max: 4 }),
+  volume: Object.freeze({ min: 0, max: 4 }),
+  opp: Object.freeze({ min: 0, max: 105 }),  // W
+  otp: Object.freeze({ min: 50, max: 80 }),  // °C
+  reverse_protection: Object.freeze({ min: 0, max: 1 }),
+  audio_out: Object.freeze({ min: 0, max: 1 }),
+})
+
+/**
+ * Encode a report frame for the DP100.
+ *
+ * @param {Number} functionId -- The function to call on the DP100.
+ * @param {Uint8Array} content -- The frame's payload.
+ * @param {Number} sequence -- The sequence number for the frame, omitted if null.
+ * @returns {Uint8Array} -- The frame including its CRC-16/MODBUS checksum.
+ */
+export function encodeReport (functionId, content = null, sequence = null) {
+  content = content || new Uint8Array([0])
+  const header = [deviceAddr, functionId, sequence, // sequence, unused if there is no content
+    content.length, ...content, 0, // checksum
+    0  // checksum
+  ]
+  if (sequence === null) {
+    header.splice(2, 1)
+  }
+  const report = new Uint8Array(header)
+  const reportView = new DataView(report.buffer, report.byteOffset, report.byteLength)
+  const checksum = crc16(report.buffer.slice(0, report.length - 2))
+  reportView.setUint16(report.length - 2, checksum, true)
+  return report
+}
+
+/** Functions whose reply only acknowledges the request. */
+const ACKNOWLEDGED_FUNCTIONS = Object.freeze([
+  FUNCTIONS.SYSTEM_SET, FUNCTIONS.START_TRANS, FUNCTIONS.DATA_TRANS, FUNCTIONS.END_TRANS, FUNCTIONS.DEV_UPGRADE,
+])
+
+/**
+ * Whether a reply only acknowledges the request, with a single byte that is 0 if it was refused.
+ *
+ * @param {Number} functionId -- The function the reply belongs to.
+ * @param {DataView} content -- The reply's payload.
+ * @returns {Boolean}
+ */
+export function isAcknowledgement (functionId, content) {
+  return ACKNOWLEDGED_FUNCTIONS.includes(functionId) || (functionId === FUNCTIONS.BASIC_SET && content.byteLength === 1)
+}
+
+/**
+ * Decode the payload of a reply frame from the DP100.
+ *
+ * @param {Number} functionId -- The function the reply belongs to.
+ * @param {DataView} content -- The reply's payload.
+ * @param {Number} sequence -- The reply's sequence number.
+ * @returns {Object|null} -- The decoded reply, see the `receive…` hooks, or null for unknown functions.
+ */
+export function decodeReply (functionId, content, sequence = 0) {
+  const bytes = (offset, length) => new Uint8Array(content.buffer, content.byteOffset + offset, length)
+  if (isAcknowledgement(functionId, content)) {
+    return functionId === FUNCTIONS.BASIC_SET ? { ack: content.getUint8(0) } : { ack: content.getUint8(0), sequence }
+  }
+  switch (functionId) {
+    case FUNCTIONS.BASIC_INFO:
+      return {
+        vIn: content.getUint16(0, true) / 1000,
+        vOut: content.getUint16(2, true) / 1000,
+        iOut: content.getUint16(4, true) / 1000,
+        voMax: content.getUint16(6, true) / 1000,
+        temp1: content.getUint16(8, true) / 10,
+        temp2: content.getUint16(10, true) / 10,
+        dc5V: content.getUint16(12, true) / 1000,
+        outMode: content.getUint8(14),
+        workSt: content.getUint8(15)
+      }
+    case FUNCTIONS.BASIC_SET:
+      return {
+        ack: content.getUint8(0),
+        state: content.getUint8(1),
+        vo_set: content.getUint16(2, true) / 1000,
+        io_set: content.getUint16(4, true) / 1000,
+        ovp_set: content.getUint16(6, true) / 1000,
+        ocp_set: content.getUint16(8, true) / 1000,
+      }
+    case FUNCTIONS.SYSTEM_INFO:
+      return {
+        otp: content.getUint16(0, true),
+        opp: content.getUint16(2, true) / 10.0,
+        backlight: content.getUint8(4),
+        volume: content.getUint8(5),
+        reverse_protection: content.getUint8(6),
+        audio_out: content.getUint8(7),
+      }
+    case FUNCTIONS.FIRM_INFO:
+      return {
+        hardwareVersion: content.getUint16(0, true) / 10,
+        bootVersion: content.getUint16(2, true),
+        maxSize: content.getUint32(4, true),
+      }
+    case FUNCTIONS.DEVICE_INFO:
+      return {
+        deviceName: String.fromCharCode(...bytes(0, 15)).replace(/\0+$/, ''),
+        hardwareVersion: content.getUint16(16, true) / 10,
+        firmwareVersion: content.getUint16(18, true) / 10,
+        bootVersion: content.getUint16(20, true),
+        runVersion: content.getUint16(22, true),
+        serialNumber: bytes(24, 11).join(''),
+        year: content.getUint16(36, true),
+        month: content.getUint8(38),
+        day: content.getUint8(39),
+      }
+    default:
+      return null
+  }
+}
+
 /** DP100 device class.
  *
  * This class is used to interact with the DP100 power supply.
- * @example
+ * It is an `EventTarget` and dispatches events, which carry their data as `detail`:
+ *
+ * - `basicinfo` with the output readings, see {@link receiveBasicInfo}, on every poll.
+ * - `settings` with the output settings, see {@link receiveBasicSettings}.
+ * - `systeminfo` with the system settings, see {@link receiveSystemInfo}.
+ * - `deviceinfo` with the device's identity, see {@link receiveDeviceInfo}.
+ * - `connect` with the device's identity, once a device is attached and polled.
+ * - `disconnect` with `{ reconnecting }`, once the device is detached.
+ * - `error` with the `Error`, for failures outside of a caller's request.
+ * - `interlock` with `{ reason }`, when an interlock switches the output off.
+ * - `switchoff` with `{ reason }`, before {@link switchOff} switches the output off, so that whatever
+ *   drives the output stops first.
+ * - `fault` with the fault log's entry, see {@link logFault}, when a protection or interlock trips.
+ * - `frame` with `{ direction, time, data }` for every raw frame sent (`tx`) or received (`rx`).
  *
- * class MyPSU extends DP100() {
- *   receiveBasicInfo ({vIn, vOut, iOut, voMax, temp1, temp2, dc5V, outMode, workSt}) {
- *     console.info('Input Voltage:', vIn, 'V')
- *     console.info('Output Voltage:', vOut, 'V')
- *     console.info('Output Current:', iOut, 'A')
- *     console.info('Max Output Voltage:', voMax, 'V')
- *     console.info('Temperature 1:', temp1, '°C')
- *     console.info('Temperature 2:', temp2, '°C')
- *     console.info('DC 5V:', dc5V, 'V')
- *     console.info('Output Mode:', outMode)
- *     console.info('Work State:', workSt)
- *   }
- * }
+ * @example
  *
- * const psu = new MyPSU()
+ * const psu = new (DP100())()
+ * psu.addEventListener('basicinfo', ({ detail: { vOut, iOut } }) => {
+ *   console.info('Output:', vOut, 'V', iOut, 'A')
+ * })
+ * psu.addEventListener('disconnect', () => console.warn('DP100 unplugged'))
  * await psu.connect()
+ * await psu.setBasicOutput({ state: 1, vo_set: 3.3, io_set: 0.5 })  // resolves once acknowledged
+ *
+ * The mixin can also extend another `EventTarget`, e.g. `DP100(LitElement)`, whose
+ * subclass may still override the `receive…` hooks, as long as it calls `super`.
+ *
+ * The device is provided by the `transport`, which defaults to WebHID.
+ * Use a `SimulatedTransport` to run without any hardware attached.
  *
- * @param {*} Base - The base class to extend.
+ * @param {*} Base - The base class to extend, must be an `EventTarget`.
  * @mixin
  * @returns {Base} The new class.
  */
-export function DP100 (Base) {
+export function DP100 (Base = EventTarget) {
   return class extends Base {
 
-    settingsQueue = []
-    refreshRate = 10  // 10ms (100Hz)
+    refreshRate = 10  // ms between polls, 10ms (100Hz)
+    pollTimeout = 100  // ms to wait for a poll's reply before polling again
+    maxDeferrals = 10  // polls skipped in a row for requests in flight
+    maxFaults = 100  // entries kept in the fault log, older ones are dropped
+    timeout = 500  // ms to wait for a reply before retrying
+    retries = 2  // number of retries before a request is rejected
+    autoReconnect = true  // reattach the same unit when it is plugged back in
+    transport = new WebHIDTransport()
+    pendingRequests = new Map()
+    requestQueues = new Map()
+    activeRequests = 0  // requests queued or in flight, polling waits for them
+    pollStatistics = null  // counts of the polls since polling started, see startPolling
+    rejectedDevices = new WeakSet()
+    watchedTransports = new WeakSet()
+    interlocks = { ...INTERLOCKS }  // software limits, see INTERLOCKS
+
+    constructor (...args) {
+      super(...args)
+      // assigned here instead of as class fields, so subclasses may declare them as reactive properties
+      this.presets = []
+      this.connectionState = 'disconnected'  // disconnected, connecting, connected or reconnecting
+      this.faults = []  // the fault log, see logFault
+      this.inputReportHandler = this.inputReportHandler.bind(this)
+    }
 
-    /** Connect to the DP100 device. */
+    /** Connect to the DP100 device provided by the transport. */
     async connect () {
-      [this.device] = await navigator.hid.requestDevice({
-        filters: [{ vendorId, productId }]
-      })
-      await this.device.open()
-      this.device.addEventListener('inputreport', this.inputReportHandler.bind(this))
-      this.device.addEventListener('disconnect', () => {
+      const device = await this.transport.requestDevice()
+      if (!device) {
+        return
+      }
+      if (devicesInUse.has(device)) {
+        throw new Error('This device is already connected')
+      }
+      await this.attach(device)
+    }
+
+    /**
+     * Connect to a DP100 the user has granted access to before, without showing a picker.
+     *
+     * @returns {Promise<boolean>} -- Whether a device was connected.
+     */
+    async restore () {
+      this.watchTransport()
+      const devices = await this.transport.getDevices?.() ?? []
+      const device = devices.find(device => !devicesInUse.has(device))
+      if (!device) {
+        return false
+      }
+      await this.attach(device)
+      return true
+    }
+
+    /**
+     * Open a device, read its settings and start polling.
+     *
+     * @param {HIDDevice} device -- The device to attach.
+     * @param {String} serialNumber -- If given, the device is only attached if its serial number matches.
+     */
+    async attach (device, serialNumber = null) {
+      this.watchTransport()
+      devicesInUse.add(device)
+      this.connectionState = serialNumber ? 'reconnecting' : 'connecting'
+      if (!device.opened) {
+        try {
+          await device.open()
+        } catch (error) {
+          devicesInUse.delete(device)
+          this.connectionState = serialNumber ? 'reconnecting' : 'disconnected'
+          throw error
+        }
+      }
+      device.addEventListener('inputreport', this.inputReportHandler)
+      this.device = device
+      try {
+        this.getSystemInfo().catch(error => this.emitError(error))
+        const { serialNumber: actual } = await this.getDeviceInfo()
+        if (serialNumber && actual !== serialNumber) {
+          this.rejectedDevices.add(device)
+          throw new Error(`Expected device ${serialNumber}, got ${actual}`)
+        }
+        await this.getBasicSettings()
+      } catch (error) {
+        this.detach()
+        this.connectionState = serialNumber ? 'reconnecting' : 'disconnected'
+        if (this.rejectedDevices.has(device)) {
+          // give other instances waiting for their device a chance to claim this one
+          this.transport.dispatchEvent(Object.assign(new Event('connect'), { device }))
+        }
+        throw error
+      }
+      this.startPolling()
+      this.connectionState = 'connected'
+      this.dispatchEvent(new CustomEvent('connect', { detail: this.deviceInfo }))
+      this.listPresets().catch(error => this.emitError(error))
+    }
+
+    /** Stop polling, reject pending requests and release the device. */
+    detach () {
+      const device = this.device
+      const connected = this.connectionState === 'connected'
+      this.device = null
+      this.stopPolling()
+      for (const functionId of this.pendingRequests.keys()) {
+        this.rejectRequest(functionId, new Error('Device disconnected'))
+      }
+      if (device) {
+        devicesInUse.delete(device)
+        device.removeEventListener('inputreport', this.inputReportHandler)
+        if (device.opened) {
+          device.close().catch(error => this.emitError(error))
+        }
+      }
+      if (connected) {
+        const reconnecting = Boolean(this.reconnectSerialNumber)
+        this.dispatchEvent(new CustomEvent('disconnect', { detail: { reconnecting } }))
+      }
+    }
+
+    /**
+     * Log an error that no caller awaits and dispatch it as an `error` event.
+     *
+     * @param {Error} error -- The error.
+     */
+    emitError (error) {
+      console.error(error)
+      this.dispatchEvent(new CustomEvent('error', { detail: error }))
+    }
+
+    /** Disconnect from the device, without reconnecting automatically. */
+    disconnect () {
+      this.reconnectSerialNumber = null
+      this.detach()
+      this.connectionState = 'disconnected'
+    }
+
+    /** Listen to the transport for unplugged and replugged devices. */
+    watchTransport () {
+      if (this.watchedTransports.has(this.transport) || !this.transport.addEventListener) {
+        return
+      }
+      this.watchedTransports.add(this.transport)  // the transport may be swapped and back, e.g. for a replay
+      this.transport.addEventListener('disconnect', (event) => {
+        if (event.device !== this.device) {
+          return
+        }
         console.warn('Device disconnected')
-        this.device = null
-        clearInterval(this.updateLoop)
+        this.reconnectSerialNumber = this.autoReconnect ? this.deviceInfo?.serialNumber : null
+        this.detach()
+        this.connectionState = this.reconnectSerialNumber ? 'reconnecting' : 'disconnected'
       })
-      this.sendReport(FUNCTIONS.SYSTEM_INFO)
-      this.sendReport(FUNCTIONS.DEVICE_INFO)
-      this.getBasicSettings().then(() => {
-        this.updateLoop = setInterval(() => {
-          this.sendReport(FUNCTIONS.BASIC_INFO)
-        }, this.refreshRate)
+      this.transport.addEventListener('connect', (event) => {
+        if (this.device || !this.reconnectSerialNumber ||
+          devicesInUse.has(event.device) || this.rejectedDevices.has(event.device)) {
+          return
+        }
+        console.info('Device connected, reconnecting')
+        this.attach(event.device, this.reconnectSerialNumber).catch(error => console.warn(error.message))
       })
     }
 
+    /**
+     * Start polling the DP100 for basic info.
+     *
+     * A poll is only sent once the previous one was answered or timed out, and is deferred while
+     * requests are in flight, so that commands are never queued behind the readings. Readings still
+     * arrive at least every `maxDeferrals + 1` polls under a steady stream of commands. The time
+     * between polls is `refreshRate`, which may be changed while polling.
+     */
+    startPolling () {
+      this.stopPolling()
+      const loop = { timer: null, deferrals: 0 }
+      this.updateLoop = loop
+      this.pollStatistics = { started: Date.now(), sent: 0, received: 0, missed: 0, deferred: 0 }
+      const poll = async () => {
+        const started = Date.now()
+        if (this.activeRequests && loop.deferrals < this.maxDeferrals) {
+          loop.deferrals++
+          this.pollStatistics.deferred++
+        } else {
+          loop.deferrals = 0
+          this.pollStatistics.sent++
+          try {
+            // queued like any other request, so a poll never takes over the reply awaited by a request for basic info
+            await this.exclusive(FUNCTIONS.BASIC_INFO, () => {
+              return this.transactOnce(FUNCTIONS.BASIC_INFO, null, null, this.pollTimeout)
+            })
+            this.pollStatistics.received++
+          } catch (error) {
+            this.pollStatistics.missed++
+            console.debug(error.message)
+          }
+        }
+        if (this.updateLoop === loop) {
+          loop.timer = setTimeout(poll, Math.max(0, this.refreshRate - (Date.now() - started)))
+        }
+      }
+      poll()
+    }
+
+    /** Stop polling the DP100 for basic info. */
+    stopPolling () {
+      clearTimeout(this.updateLoop?.timer)
+      this.updateLoop = null
+    }
+
     /**
      * Send a report to the DP100.
      *
@@ -111,67 +528,476 @@ export function DP100 (Base) {
      * @returns {Promise<void>} -- A promise that resolves when the report is sent.
      */
     async sendReport (functionId, content = null, sequence = null) {
-      content = content || new Uint8Array([0])
-      const header = [deviceAddr, functionId, sequence, // sequence, unused if there is no content
-        content.length, ...content, 0, // checksum
-        0  // checksum
-      ]
-      if (sequence === null) {
-        header.splice(2, 1)
-      }
-      const report = new Uint8Array(header)
-      const reportView = new DataView(report.buffer, report.byteOffset, report.byteLength)
-      const checksum = crc16(report.buffer.slice(0, report.length - 2))
-      reportView.setUint16(report.length - 2, checksum, true)
-      console.debug('device.sendReport', reportView)
+      const report = encodeReport(functionId, content, sequence)
+      console.debug('device.sendReport', new DataView(report.buffer))
+      this.dispatchEvent(new CustomEvent('frame', { detail: { direction: 'tx', time: Date.now(), data: report } }))
       return await this.device.sendReport(0, report)
     }
 
+    /**
+     * Send a request to the DP100 and wait for its reply.
+     *
+     * Requests to the same function are sent one at a time, so every reply
+     * is matched to the request it belongs to.
+     *
+     * @param {Number} functionId -- The function to call on the DP100.
+     * @param {Uint8Array} content -- The data to send to the DP100.
+     * @param {Number} sequence -- The sequence number for the report.
+     * @returns {Promise<Object>} -- The decoded reply.
+     */
+    request (functionId, content = null, sequence = null) {
+      return this.exclusive(functionId, () => this.transact(functionId, content, sequence))
+    }
+
+    /**
+     * Run a task once all earlier tasks for the same function have settled.
+     *
+     * @param {Number} functionId -- The function the task talks to.
+     * @param {function(): Promise<*>} task -- The task to run.
+     * @returns {Promise<*>} -- The task's result.
+     */
+    exclusive (functionId, task) {
+      const previous = this.requestQueues.get(functionId) || Promise.resolve()
+      const current = previous.catch(() => {}).then(task)
+      this.requestQueues.set(functionId, current)
+      this.activeRequests++
+      current.catch(() => {}).finally(() => { this.activeRequests-- })
+      return current
+    }
+
+    /**
+     * Send a report and wait for its reply, retrying on failure.
+     *
+     * Use {@link request} instead, unless you are already inside an {@link exclusive} task.
+     *
+     * @param {Number} functionId -- The function to call on the DP100.
+     * @param {Uint8Array} content -- The data to send to the DP100.
+     * @param {Number} sequence -- The sequence number for the report.
+     * @returns {Promise<Object>} -- The decoded reply.
+     */
+    async transact (functionId, content = null, sequence = null) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await this.transactOnce(functionId, content, sequence)
+        } catch (error) {
+          if (attempt >= this.retries || !this.device) {
+            throw error
+          }
+          console.warn(`${error.message}, retrying (${attempt + 1}/${this.retries})`)
+        }
+      }
+    }
+
+    /**
+     * Send a report and wait for its reply, without retrying.
+     *
+     * Only one request per function can await its reply, so call this inside an {@link exclusive} task.
+     *
+     * @param {Number} functionId -- The function to call on the DP100.
+     * @param {Uint8Array} content -- The data to send to the DP100.
+     * @param {Number} sequence -- The sequence number for the report.
+     * @param {Number} timeout -- Time to wait for the reply in ms.
+     * @returns {Promise<Object>} -- The decoded reply.
+     */
+    transactOnce (functionId, content = null, sequence = null, timeout = this.timeout) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.rejectRequest(functionId, new Error(`${functionName(functionId)} timed out after ${timeout}ms`))
+        }, timeout)
+        this.pendingRequests.set(functionId, { resolve, reject, timer })
+        this.sendReport(functionId, content, sequence).catch(error => this.rejectRequest(functionId, error))
+      })
+    }
+
+    /**
+     * Resolve the pending request for a function.
+     *
+     * @param {Number} functionId -- The function that replied.
+     * @param {Object} reply -- The decoded reply.
+     */
+    resolveRequest (functionId, reply) {
+      const pending = this.pendingRequests.get(functionId)
+      if (pending) {
+        clearTimeout(pending.timer)
+        this.pendingRequests.delete(functionId)
+        pending.resolve(reply)
+      }
+    }
+
+    /**
+     * Reject the pending request for a function.
+     *
+     * @param {Number} functionId -- The function that failed.
+     * @param {Error} error -- The reason for the failure.
+     */
+    rejectRequest (functionId, error) {
+      const pending = this.pendingRequests.get(functionId)
+      if (pending) {
+        clearTimeout(pending.timer)
+        this.pendingRequests.delete(functionId)
+        pending.reject(error)
+      }
+    }
+
+    /**
+     * Read the output settings from the DP100.
+     *
+     * @returns {Promise<Object>} -- The basic settings, see {@link receiveBasicSettings}.
+     */
     async getBasicSettings () {
-      await this.sendReport(FUNCTIONS.BASIC_SET, new Uint8Array([MAGIC_BYTES.READ]), 0)
+      const reply = await this.request(FUNCTIONS.BASIC_SET, new Uint8Array([MAGIC_BYTES.READ]), 0)
+      this.receiveBasicSettings(reply)
+      return reply
     }
 
-    async setBasicOutput ({ state, vo_set, io_set }) {
-      if (this.settings === undefined) {
-        throw new Error('Settings not loaded')
+    /**
+     * Read a preset group from the DP100.
+     *
+     * @param {Number} index -- The preset's index, 0 for M0 to 9 for M9.
+     * @returns {Promise<{vo_set: Number, io_set: Number, ovp_set: Number, ocp_set: Number}>} -- The preset.
+     */
+    async getPreset (index) {
+      const { vo_set, io_set, ovp_set, ocp_set } = await this.request(
+        FUNCTIONS.BASIC_SET, new Uint8Array([MAGIC_BYTES.READ | presetGroup(index)]), 0
+      )
+      const preset = { vo_set, io_set, ovp_set, ocp_set }
+      this.presets = Object.assign([...this.presets], { [index]: preset })
+      return preset
+    }
+
+    /**
+     * Read all preset groups from the DP100.
+     *
+     * @returns {Promise<Object[]>} -- The presets M0 to M9, see {@link getPreset}.
+     */
+    async listPresets () {
+      for (let index = 0; index < PRESETS; index++) {
+        await this.getPreset(index)
       }
-      console.info('setBasicOutput', { state, vo_set, io_set })
-      const basicSet = {
-        ...this.settings,
+      return this.presets
+    }
+
+    /**
+     * Store the given setpoints in a preset group on the DP100.
+     *
+     * Omitted values are taken from the current settings.
+     *
+     * @param {Number} index -- The preset's index, 0 for M0 to 9 for M9.
+     * @param {Object} preset
+     * @param {Number} preset.vo_set - Output voltage setting in V.
+     * @param {Number} preset.io_set - Output current setting in A.
+     * @param {Number} preset.ovp_set - Over-voltage protection setting in V.
+     * @param {Number} preset.ocp_set - Over-current protection setting in A.
+     * @returns {Promise<Object>} -- The preset once acknowledged by the DP100.
+     */
+    async setPreset (index, { vo_set, io_set, ovp_set, ocp_set } = {}) {
+      const group = presetGroup(index)
+      return await this.exclusive(FUNCTIONS.BASIC_SET, async () => {
+        if (this.settings === undefined) {
+          throw new Error('Settings not loaded')
+        }
+        console.info('setPreset', index, { vo_set, io_set, ovp_set, ocp_set })
+        const preset = {
+          vo_set: this.settings.vo_set,
+          io_set: this.settings.io_set,
+          ovp_set: this.settings.ovp_set,
+          ocp_set: this.settings.ocp_set,
 
-        ...Object.fromEntries(Object.entries({
-          state, vo_set, io_set
-        }).filter(([k, v]) => v !== undefined))
+          ...Object.fromEntries(Object.entries({
+            vo_set, io_set, ovp_set, ocp_set
+          }).filter(([k, v]) => v !== undefined))
+        }
+        const out = new Uint8Array(10)
+        const outDv = new DataView(out.buffer, out.byteOffset, out.length)
+        outDv.setUint8(0, MAGIC_BYTES.SETTING | group)
+        outDv.setUint16(2, Math.round(preset.vo_set * 1000), true)
+        outDv.setUint16(4, Math.round(preset.io_set * 1000), true)
+        outDv.setUint16(6, Math.round(preset.ovp_set * 1000), true)
+        outDv.setUint16(8, Math.round(preset.ocp_set * 1000), true)
+        await this.transact(FUNCTIONS.BASIC_SET, out, 0)
+        this.presets = Object.assign([...this.presets], { [index]: preset })
+        return preset
+      })
+    }
+
+    /**
+     * Apply a preset group to the output.
+     *
+     * The output state is kept as it is.
+     *
+     * @param {Number} index -- The preset's index, 0 for M0 to 9 for M9.
+     * @returns {Promise<Object>} -- The settings once acknowledged by the DP100.
+     */
+    async recallPreset (index) {
+      const { vo_set, io_set, ovp_set, ocp_set } = await this.getPreset(index)
+      const refused = checkSettings(this.interlocks, { vo_set, io_set })
+      if (refused) {
+        throw new RangeError(`M${index}: ${refused}`)
       }
-      this.settingsQueue.push(basicSet)
-      const out = new Uint8Array(10)
-      const outDv = new DataView(out.buffer, out.byteOffset, out.length)
-      outDv.setUint8(0, MAGIC_BYTES.OUTPUT)
-      outDv.setUint8(1, basicSet.state)
-      outDv.setUint16(2, basicSet.vo_set * 1000, true)
-      outDv.setUint16(4, basicSet.io_set * 1000, true)
-      await this.sendReport(FUNCTIONS.BASIC_SET, out, 0)
+      await this.setBasicSettings({ ovp_set, ocp_set })
+      return await this.setBasicOutput({ vo_set, io_set })
     }
 
+    /**
+     * Read the system settings from the DP100.
+     *
+     * @returns {Promise<Object>} -- The system settings, see {@link receiveSystemInfo}.
+     */
+    async getSystemInfo () {
+      return await this.request(FUNCTIONS.SYSTEM_INFO)
+    }
+
+    /**
+     * Read the device information from the DP100.
+     *
+     * @returns {Promise<Object>} -- The device information, see {@link receiveDeviceInfo}.
+     */
+    async getDeviceInfo () {
+      return await this.request(FUNCTIONS.DEVICE_INFO)
+    }
+
+    /**
+     * Set the output state, voltage and current.
+     *
+     * Omitted values are kept as they are. The resulting settings must pass the {@link interlocks},
+     * switching the output off always does. Raising the voltage past `interlocks.confirmAbove`
+     * needs to be confirmed, either upfront or by {@link confirmVoltage}.
+     *
+     * @param {Object} output
+     * @param {Number} output.state - Output on (1) or off (0).
+     * @param {Number} output.vo_set - Output voltage setting in V.
+     * @param {Number} output.io_set - Output current setting in A.
+     * @param {Object} options
+     * @param {boolean} options.confirmed - Whether the user already confirmed the voltage.
+     * @returns {Promise<Object>} -- The settings once acknowledged by the DP100.
+     * @throws {RangeError} -- If the settings are refused by an interlock.
+     */
+    async setBasicOutput ({ state, vo_set, io_set }, { confirmed = false } = {}) {
+      const threshold = this.interlocks.confirmAbove
+      if (!confirmed && threshold !== null && vo_set !== undefined &&
+        Number(vo_set) > threshold && !(Number(this.settings?.vo_set) > threshold) &&
+        !await this.confirmVoltage(Number(vo_set))) {
+        throw new Error(`Raising the voltage above ${threshold} V was not confirmed`)
+      }
+      return await this.exclusive(FUNCTIONS.BASIC_SET, async () => {
+        if (this.settings === undefined) {
+          throw new Error('Settings not loaded')
+        }
+        console.info('setBasicOutput', { state, vo_set, io_set })
+        const basicSet = {
+          ...this.settings,
+
+          ...Object.fromEntries(Object.entries({
+            state, vo_set, io_set
+          }).filter(([k, v]) => v !== undefined))
+        }
+        if (!(state === 0 && vo_set === undefined && io_set === undefined)) {
+          const refused = checkSettings(this.interlocks, basicSet) ??
+            (basicSet.state && this.info ? checkReadings(this.interlocks, this.info) : null)
+          if (refused) {
+            throw new RangeError(refused)
+          }
+        }
+        const out = new Uint8Array(10)
+        const outDv = new DataView(out.buffer, out.byteOffset, out.length)
+        outDv.setUint8(0, MAGIC_BYTES.OUTPUT)
+        outDv.setUint8(1, basicSet.state)
+        outDv.setUint16(2, Math.round(basicSet.vo_set * 1000), true)
+        outDv.setUint16(4, Math.round(basicSet.io_set * 1000), true)
+        await this.transact(FUNCTIONS.BASIC_SET, out, 0)
+        this.settings = basicSet
+        this.dispatchEvent(new CustomEvent('settings', { detail: basicSet }))
+        return basicSet
+      })
+    }
+
+    /**
+     * Switch the output off and keep it off.
+     *
+     * Dispatches a `switchoff` event first, timers, sequences and the like listen for it and
+     * stop, so they don't switch the output back on at their next step.
+     *
+     * @param {String} reason -- Why the output is switched off.
+     * @returns {Promise<Object>} -- The settings once acknowledged by the DP100.
+     */
+    async switchOff (reason) {
+      this.dispatchEvent(new CustomEvent('switchoff', { detail: { reason } }))
+      return await this.setBasicOutput({ state: 0 })
+    }
+
+    /**
+     * Set the over-voltage and over-current protection.
+     *
+     * Omitted values are kept as they are.
+     *
+     * @param {Object} protection
+     * @param {Number} protection.ovp_set - Over-voltage protection setting in V.
+     * @param {Number} protection.ocp_set - Over-current protection setting in A.
+     * @returns {Promise<Object>} -- The settings once acknowledged by the DP100.
+     */
     async setBasicSettings ({ ovp_set, ocp_set }) {
-      if (this.settings === undefined) {
-        throw new Error('Settings not loaded')
+      return await this.exclusive(FUNCTIONS.BASIC_SET, async () => {
+        if (this.settings === undefined) {
+          throw new Error('Settings not loaded')
+        }
+        console.info('setBasicSettings', { ovp_set, ocp_set })
+        const basicSet = {
+          ...this.settings,
+
+          ...Object.fromEntries(Object.entries({
+            ovp_set, ocp_set
+          }).filter(([k, v]) => v !== undefined))
+        }
+        const out = new Uint8Array(10)
+        const outDv = new DataView(out.buffer, out.byteOffset, out.length)
+        outDv.setUint8(0, MAGIC_BYTES.SETTING)
+        outDv.setUint16(6, Math.round(basicSet.ovp_set * 1000), true)
+        outDv.setUint16(8, Math.round(basicSet.ocp_set * 1000), true)
+        await this.transact(FUNCTIONS.BASIC_SET, out, 0)
+        this.settings = basicSet
+        this.dispatchEvent(new CustomEvent('settings', { detail: basicSet }))
+        return basicSet
+      })
+    }
+
+    /**
+     * Change the system settings.
+     *
+     * Omitted values are kept as they are.
+     *
+     * @param {Object} system
+     * @param {Number} system.backlight - Backlight setting between 0 and 4.
+     * @param {Number} system.volume - Volume setting between 0 and 4.
+     * @param {Number} system.opp - Over-power protection setting in W.
+     * @param {Number} system.otp - Over-temperature protection setting in C (range: 50 – 80).
+     * @param {boolean} system.reverse_protection - Reverse protection setting.
+     * @param {boolean} system.audio_out - Audio output setting.
+     * @returns {Promise<Object>} -- The system settings once acknowledged by the DP100.
+     * @throws {RangeError} -- If a setting is outside of its valid range.
+     */
+    async setSystemSettings ({ backlight, volume, opp, otp, reverse_protection, audio_out }) {
+      return await this.exclusive(FUNCTIONS.SYSTEM_SET, async () => {
+        if (this.system === undefined) {
+          throw new Error('System settings not loaded')
+        }
+        console.info('setSystemSettings', { backlight, volume, opp, otp, reverse_protection, audio_out })
+        const system = {
+          ...this.system,
+
+          ...Object.fromEntries(Object.entries({
+            backlight, volume, opp, otp, reverse_protection, audio_out
+          }).filter(([k, v]) => v !== undefined).map(([k, v]) => [k, Number(v)]))
+        }
+        for (const [key, { min, max }] of Object.entries(SYSTEM_LIMITS)) {
+          if (!(system[key] >= min && system[key] <= max)) {
+            throw new RangeError(`${key} must be between ${min} and ${max}, got ${system[key]}`)
+          }
+        }
+        const out = new Uint8Array(8)
+        const outDv = new DataView(out.buffer, out.byteOffset, out.length)
+        outDv.setUint16(0, system.otp, true)
+        outDv.setUint16(2, Math.round(system.opp * 10), true)
+        outDv.setUint8(4, system.backlight)
+        outDv.setUint8(5, system.volume)
+        outDv.setUint8(6, system.reverse_protection)
+        outDv.setUint8(7, system.audio_out)
+        await this.transact(FUNCTIONS.SYSTEM_SET, out, 0)
+        this.system = system
+        this.dispatchEvent(new CustomEvent('systeminfo', { detail: system }))
+        return system
+      })
+    }
+
+    /**
+     * Read the firmware upgrade constraints from the DP100.
+     *
+     * @returns {Promise<{hardwareVersion: Number, bootVersion: Number, maxSize: Number}>} --
+     *   The hardware and bootloader version as well as the maximum image size in bytes.
+     */
+    async getFirmwareInfo () {
+      return await this.request(FUNCTIONS.FIRM_INFO)
+    }
+
+    /**
+     * Check whether a firmware image can be flashed onto the connected DP100.
+     *
+     * @param {ArrayBuffer} image -- The firmware image.
+     * @returns {Promise<{size: Number, crc: Number, chunks: Number, firmwareInfo: Object}>} -- The image's details.
+     * @throws {Error} -- If the image doesn't fit the device.
+     */
+    async checkFirmware (image) {
+      if (this.deviceInfo === undefined) {
+        throw new Error('Device info not loaded')
+      }
+      const firmwareInfo = await this.getFirmwareInfo()
+      if (!image.byteLength) {
+        throw new Error('Firmware image is empty')
+      }
+      if (image.byteLength > firmwareInfo.maxSize) {
+        throw new Error(`Firmware image exceeds ${firmwareInfo.maxSize} bytes`)
       }
-      console.info('setBasicSettings', { ovp_set, ocp_set })
-      const basicSet = {
-        ...this.settings,
+      if (firmwareInfo.hardwareVersion !== this.deviceInfo.hardwareVersion) {
+        throw new Error(
+          `Bootloader reports hardware ${firmwareInfo.hardwareVersion}, device ${this.deviceInfo.hardwareVersion}`
+        )
+      }
+      return {
+        size: image.byteLength,
+        crc: crc16(image),
+        chunks: Math.ceil(image.byteLength / FIRMWARE_CHUNK_SIZE),
+        firmwareInfo,
+      }
+    }
 
-        ...Object.fromEntries(Object.entries({
-          ovp_set, ocp_set
-        }).filter(([k, v]) => v !== undefined))
+    /**
+     * Flash a firmware image onto the DP100.
+     *
+     * Polling is paused during the transfer. On abort or error, the transfer is canceled
+     * and the device keeps its current firmware.
+     *
+     * @param {ArrayBuffer} image -- The firmware image.
+     * @param {Object} options
+     * @param {AbortSignal} options.signal -- Signal to abort the transfer.
+     * @param {function({sent: Number, total: Number}): void} options.onProgress -- Called after every chunk.
+     * @returns {Promise<Object>} -- The device info after the upgrade.
+     */
+    async upgradeFirmware (image, { signal, onProgress } = {}) {
+      const { size, crc, chunks } = await this.checkFirmware(image)
+      const bytes = new Uint8Array(image)
+      const polling = Boolean(this.updateLoop)
+      this.stopPolling()
+      try {
+        const start = new Uint8Array(6)
+        const startDv = new DataView(start.buffer)
+        startDv.setUint32(0, size, true)
+        startDv.setUint16(4, crc, true)
+        await this.request(FUNCTIONS.START_TRANS, start, 0)
+        for (let chunk = 0; chunk < chunks; chunk++) {
+          signal?.throwIfAborted()
+          const sequence = chunk & 0xFF
+          const reply = await this.request(
+            FUNCTIONS.DATA_TRANS,
+            bytes.subarray(chunk * FIRMWARE_CHUNK_SIZE, (chunk + 1) * FIRMWARE_CHUNK_SIZE),
+            sequence
+          )
+          if (reply.sequence !== sequence) {
+            throw new Error(`DATA_TRANS acknowledged sequence ${reply.sequence}, expected ${sequence}`)
+          }
+          onProgress?.({ sent: Math.min((chunk + 1) * FIRMWARE_CHUNK_SIZE, size), total: size })
+        }
+        signal?.throwIfAborted()
+        await this.request(FUNCTIONS.END_TRANS, new Uint8Array([1]), 0)
+        await this.request(FUNCTIONS.DEV_UPGRADE, new Uint8Array([0]), 0)
+      } catch (error) {
+        console.error('Firmware upgrade failed', error)
+        await this.request(FUNCTIONS.END_TRANS, new Uint8Array([0]), 0).catch(() => {})
+        throw error
+      } finally {
+        if (polling && this.device) {
+          this.startPolling()
+        }
       }
-      this.settingsQueue.push(basicSet)
-      const out = new Uint8Array(10)
-      const outDv = new DataView(out.buffer, out.byteOffset, out.length)
-      outDv.setUint8(0, MAGIC_BYTES.SETTING)
-      outDv.setUint16(6, basicSet.ovp_set * 1000, true)
-      outDv.setUint16(8, basicSet.ocp_set * 1000, true)
-      await this.sendReport(FUNCTIONS.BASIC_SET, out, 0)
+      return await this.getDeviceInfo()
     }
 
     /** Handle input reports from the DP100
@@ -180,76 +1006,49 @@ export function DP100 (Base) {
     inputReportHandler (event) {
       console.debug('device.inputreport', event)
       const data = event.data
+      const frame = new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength))
+      this.dispatchEvent(new CustomEvent('frame', { detail: { direction: 'rx', time: Date.now(), data: frame } }))
       const headerLength = 4
       const header = {
         deviceAddr: data.getUint8(0),
-        functionType: event.data.getUint8(1),
-        sequence: event.data.getUint8(2),
-        contentLength: event.data.getUint8(3),
+        functionType: data.getUint8(1),
+        sequence: data.getUint8(2),
+        contentLength: data.getUint8(3),
       }
-      const contentView = new DataView(data.buffer.slice(headerLength, headerLength + header.contentLength))
+      const end = data.byteOffset + headerLength + header.contentLength
+      const contentView = new DataView(data.buffer.slice(data.byteOffset + headerLength, end))
       const checksum = data.getUint16(headerLength + header.contentLength, true)
-      const computedChecksum = crc16(data.buffer.slice(0, headerLength + header.contentLength))
+      const computedChecksum = crc16(data.buffer.slice(data.byteOffset, end))
       if (computedChecksum !== checksum) {
         console.error('Checksum Failed', {
           expected: computedChecksum.toString(16), received: checksum.toString(16)
         })
+        const error = new Error(`${functionName(header.functionType)} checksum failed`)
+        this.dispatchEvent(new CustomEvent('error', { detail: error }))
+        this.rejectRequest(header.functionType, error)
+        return
+      }
+      const reply = decodeReply(header.functionType, contentView, header.sequence)
+      if (!reply) {
+        console.warn('Unhandled function', header.functionType, contentView)
+        return
+      }
+      if (isAcknowledgement(header.functionType, contentView) && !reply.ack) {
+        this.rejectRequest(header.functionType, new Error(`${functionName(header.functionType)} not acknowledged`))
         return
       }
       switch (header.functionType) {
         case FUNCTIONS.BASIC_INFO:
-          this.receiveBasicInfo({
-            vIn: contentView.getUint16(0, true) / 1000,
-            vOut: contentView.getUint16(2, true) / 1000,
-            iOut: contentView.getUint16(4, true) / 1000,
-            voMax: contentView.getUint16(6, true) / 1000,
-            temp1: contentView.getUint16(8, true) / 10,
-            temp2: contentView.getUint16(10, true) / 10,
-            dc5V: contentView.getUint16(12, true) / 1000,
-            outMode: contentView.getUint8(14),
-            workSt: contentView.getUint8(15)
-          })
-          break
-        case FUNCTIONS.BASIC_SET:
-          if (contentView.byteLength === 1 && contentView.getUint8(0)) {
-            this.settings = this.settingsQueue.pop()
-            break
-          }
-          this.receiveBasicSettings({
-            ack: contentView.getUint8(0),
-            state: contentView.getUint8(1),
-            vo_set: contentView.getUint16(2, true) / 1000,
-            io_set: contentView.getUint16(4, true) / 1000,
-            ovp_set: contentView.getUint16(6, true) / 1000,
-            ocp_set: contentView.getUint16(8, true) / 1000,
-          })
+          this.receiveBasicInfo(reply)
           break
         case FUNCTIONS.SYSTEM_INFO:
-          this.receiveSystemInfo({
-            otp: contentView.getUint16(0, true),
-            opp: contentView.getUint16(2, true) / 10.0,
-            backlight: contentView.getUint8(4),
-            volume: contentView.getUint8(5),
-            reverse_protection: contentView.getUint8(6),
-            audio_out: contentView.getUint8(7),
-          })
+          this.receiveSystemInfo(reply)
           break
         case FUNCTIONS.DEVICE_INFO:
-          console.debug({
-            deviceName: String.fromCharCode(...new Uint8Array(contentView.buffer.slice(0, 15))),
-            hardwareVersion: contentView.getUint16(16, true) / 10,
-            firmwareVersion: contentView.getUint16(18, true) / 10,
-            bootVersion: contentView.getUint16(20, true),
-            runVersion: contentView.getUint16(22, true),
-            serialNumber: new Uint8Array(contentView.buffer.slice(24, 24 + 11)).join(''),
-            year: contentView.getUint16(36, true),
-            month: contentView.getUint8(38),
-            day: contentView.getUint8(39),
-          })
+          this.receiveDeviceInfo(reply)
           break
-        default:
-          console.warn('Unhandled function', header.functionType, contentView)
       }
+      this.resolveRequest(header.functionType, reply)
     }
 
     /** Handle basic info from the DP100
@@ -261,12 +1060,131 @@ export function DP100 (Base) {
      * @param {Number} basicInfo.temp1 - Temperature 1 in °C.
      * @param {Number} basicInfo.temp2 - Temperature 2 in °C.
      * @param {Number} basicInfo.dc5V - 5V rail in V.
-     * @param {Number} basicInfo.outMode - Output mode.
-     * @param {Number} basicInfo.workSt - Work state.
+     * @param {Number} basicInfo.outMode - Output mode, see {@link OUTPUT_MODES}.
+     * @param {Number} basicInfo.workSt - Work state, see {@link PROTECTIONS}.
      */
     receiveBasicInfo ({ vIn, vOut, iOut, voMax, temp1, temp2, dc5V, outMode, workSt }) {
       console.debug('receiveBasicInfo', { vIn, vOut, iOut, voMax, temp1, temp2, dc5V, outMode, workSt })
+      const previous = this.info
       this.info = { vIn, vOut, iOut, voMax, temp1, temp2, dc5V, outMode, workSt }
+      this.dispatchEvent(new CustomEvent('basicinfo', { detail: this.info }))
+      this.checkProtection(previous)
+      this.checkInterlocks()
+    }
+
+    /**
+     * Log a trip of the DP100's protections.
+     *
+     * @param {Object} previous - The basic info before the latest one, with the readings right before a trip.
+     */
+    checkProtection (previous) {
+      const state = outputState(this.info)
+      if (!state.fault || (previous && outputState(previous).fault)) {
+        return
+      }
+      const limit = {
+        OVP: `${this.settings?.ovp_set} V`,
+        OCP: `${this.settings?.ocp_set} A`,
+        OPP: `${this.system?.opp} W`,
+        OTP: `${this.system?.otp} °C`,
+      }[state.name]
+      const reason = state.name === 'UNKNOWN'
+        ? `${state.description} ${state.code}`
+        : `${state.description}${limit ? ` at ${limit}` : ''}`
+      this.logFault(state.name, reason, previous ?? this.info)
+    }
+
+    /**
+     * Record a trip in the fault log and dispatch it as a `fault` event.
+     *
+     * @param {String} state - What tripped, a key of {@link OUTPUT_STATES} or `interlock`.
+     * @param {String} reason - Why it tripped.
+     * @param {Object} info - The basic info at the moment of the trip.
+     */
+    logFault (state, reason, info) {
+      const { vOut, iOut, vIn, temp1, temp2 } = info
+      const entry = {
+        time: Date.now(),
+        state,
+        reason,
+        vOut,
+        iOut,
+        pOut: vOut * iOut,
+        vIn,
+        temp: Math.max(temp1, temp2),
+        settings: { ...this.settings },
+      }
+      console.warn('Fault:', reason)
+      this.faults = [...this.faults, entry].slice(-this.maxFaults)
+      this.dispatchEvent(new CustomEvent('fault', { detail: entry }))
+    }
+
+    /** Forget all logged faults. */
+    clearFaults () {
+      this.faults = []
+    }
+
+    /** Switch the output off, if the latest measurement violates an interlock. */
+    checkInterlocks () {
+      const reason = checkReadings(this.interlocks, this.info)
+      if (!reason || !this.settings?.state || this.tripping) {
+        return
+      }
+      console.warn('Interlock tripped:', reason)
+      this.tripping = true
+      this.logFault('interlock', reason, this.info)
+      this.dispatchEvent(new CustomEvent('interlock', { detail: { reason } }))
+      this.switchOff(`interlock: ${reason}`)
+        .catch(error => this.emitError(error))
+        .finally(() => { this.tripping = false })
+    }
+
+    /**
+     * Ask whether the voltage may be raised past `interlocks.confirmAbove`.
+     *
+     * Refuses by default, override it to ask the user.
+     *
+     * @param {Number} vo_set -- The requested output voltage setting in V.
+     * @returns {Promise<boolean>} -- Whether the change is confirmed.
+     */
+    async confirmVoltage (vo_set) {
+      return false
+    }
+
+    /** Handle device info from the DP100
+     * @param {Object} deviceInfo
+     * @param {String} deviceInfo.deviceName - Device name, e.g. `DP100`.
+     * @param {Number} deviceInfo.hardwareVersion - Hardware version.
+     * @param {Number} deviceInfo.firmwareVersion - Firmware version.
+     * @param {Number} deviceInfo.bootVersion - Bootloader version.
+     * @param {Number} deviceInfo.runVersion - Application version.
+     * @param {String} deviceInfo.serialNumber - Serial number.
+     * @param {Number} deviceInfo.year - Year of manufacture.
+     * @param {Number} deviceInfo.month - Month of manufacture.
+     * @param {Number} deviceInfo.day - Day of manufacture.
+     */
+    receiveDeviceInfo (deviceInfo) {
+      console.info('receiveDeviceInfo', deviceInfo)
+      const {
+        deviceName, hardwareVersion, firmwareVersion, bootVersion, runVersion, serialNumber, year, month, day
+      } = deviceInfo
+      this.deviceInfo = {
+        deviceName, hardwareVersion, firmwareVersion, bootVersion, runVersion, serialNumber, year, month, day
+      }
+      this.dispatchEvent(new CustomEvent('deviceinfo', { detail: this.deviceInfo }))
+    }
+
+    /**
+     * Short identity of the connected device, used to tag logs, exports and bug reports.
+     *
+     * @returns {String|undefined} -- E.g. `DP100 SN 00000000001 FW 1.3`.
+     */
+    get deviceTag () {
+      if (!this.deviceInfo) {
+        return undefined
+      }
+      const { deviceName, serialNumber, firmwareVersion } = this.deviceInfo
+      return `${deviceName} SN ${serialNumber} FW ${firmwareVersion.toFixed(1)}`
     }
 
     /** Handle basic settings from the DP100
@@ -281,6 +1199,7 @@ export function DP100 (Base) {
     receiveBasicSettings ({ ack, state, vo_set, io_set, ovp_set, ocp_set }) {
       console.info('receiveBasicSettings', { ack, state, vo_set, io_set, ovp_set, ocp_set })
       this.settings = { state, vo_set, io_set, ovp_set, ocp_set }
+      this.dispatchEvent(new CustomEvent('settings', { detail: this.settings }))
     }
 
     /** Handle system info from the DP100
@@ -295,6 +1214,7 @@ export function DP100 (Base) {
     receiveSystemInfo ({ backlight, volume, opp, otp, reverse_protection, audio_out }) {
       console.info('receiveSystemInfo', { backlight, volume, opp, otp, reverse_protection, audio_out })
       this.system = { backlight, volume, opp, otp, reverse_protection, audio_out }
+      this.dispatchEvent(new CustomEvent('systeminfo', { detail: this.system }))
     }
 
   };
@@ -0,0 +1,142 @@
+/**
+ * Columns of a recording, with their CSV header.
+ *
+ * Recordings are stored column-wise, like uPlot's data, each key holding an array of equal length.
+ */
+export const COLUMNS = Object.freeze({
+  t: 'time_s',
+  v: 'voltage_V',
+  i: 'current_A',
+  p: 'power_W',
+  vSet: 'voltage_set_V',
+  iSet: 'current_set_A',
+  e: 'energy_Wh',
+  on: 'output_on',
+})
+
+/**
+ * The CSV header line, without line break.
+ *
+ * @returns {String} - The header.
+ */
+export function csvHeader () {
+  return ['timestamp', ...Object.values(COLUMNS)].join(',')
+}
+
+/**
+ * Serialize a single sample as a CSV line, without line break.
+ *
+ * @param {Object<string, Number>} sample - The sample's values, see {@link COLUMNS}.
+ * @returns {String} - The line.
+ */
+export function csvRow (sample) {
+  return [
+    new Date(sample.t * 1000).toISOString(),
+    ...Object.keys(COLUMNS).map(key => sample[key] ?? ''),
+  ].join(',')
+}
+
+/**
+ * Serialize a recording as CSV.
+ *
+ * The metadata is written as `# key: value` comment lines ahead of the header.
+ *
+ * @param {Object<string, Number[]>} samples - The recording's columns, see {@link COLUMNS}.
+ * @param {Object} metadata - Information about the device and recording.
+ * @returns {String} - The CSV document.
+ */
+export function toCSV (samples, metadata = {}) {
+  const keys = Object.keys(COLUMNS)
+  const lines = Object.entries(metadata)
+    .filter(([key, value]) => value !== undefined)
+    .map(([key, value]) => `# ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  lines.push(csvHeader())
+  for (let row = 0; row < samples.t.length; row++) {
+    lines.push(csvRow(Object.fromEntries(keys.map(key => [key, samples[key]?.[row]]))))
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Serialize a recording as JSON.
+ *
+ * @param {Object<string, Number[]>} samples - The recording's columns, see {@link COLUMNS}.
+ * @param {Object} metadata - Information about the device and recording.
+ * @returns {String} - The JSON document.
+ */
+export function toJSON (samples, metadata = {}) {
+  const keys = Object.keys(COLUMNS)
+  return JSON.stringify({
+    metadata,
+    samples: samples.t.map((_, row) => Object.fromEntries(keys.map(key => [key, samples[key]?.[row] ?? null]))),
+  })
+}
+
+/**
+ * Parse a recording exported by {@link toCSV} or {@link toJSON}.
+ *
+ * Missing columns are filled with nulls, except for the power, which is computed.
+ * A CSV without `time_s` may use its ISO `timestamp` column instead.
+ *
+ * @param {String} text - The file's content.
+ * @param {String} name - The file's name, used if the metadata has no session name.
+ * @returns {{name: String, metadata: Object, samples: Object<string, Number[]>}} - The recording.
+ * @throws {Error} - If the text isn't a recording.
+ */
+export function parseRecording (text, name = 'Recording') {
+  const keys = Object.keys(COLUMNS)
+  let metadata = {}
+  let rows
+  if (text.trimStart().startsWith('{')) {
+    const document = JSON.parse(text)
+    if (!Array.isArray(document.samples)) {
+      throw new Error('Not a DP100 recording')
+    }
+    metadata = document.metadata ?? {}
+    rows = document.samples
+  } else {
+    const lines = text.split(/\r?\n/).filter(line => line.trim())
+    while (lines[0]?.startsWith('#')) {
+      const [, key, value] = lines.shift().match(/^#\s*([^:]+):\s?(.*)$/) ?? []
+      if (key) {
+        metadata[key.trim()] = /^[{[]/.test(value) ? JSON.parse(value) : value
+      }
+    }
+    const columns = (lines.shift() ?? '').split(',').map(header => header.trim())
+    const byHeader = Object.fromEntries(Object.entries(COLUMNS).map(([key, header]) => [header, key]))
+    rows = lines.map(line => {
+      const row = {}
+      line.split(',').forEach((cell, index) => {
+        if (columns[index] === 'timestamp') {
+          row.timestamp = cell
+        } else if (byHeader[columns[index]] && cell !== '') {
+          row[byHeader[columns[index]]] = Number(cell)
+        }
+      })
+      row.t ??= row.timestamp ? Date.parse(row.timestamp) / 1000 : undefined
+      return row
+    })
+  }
+  const valid = rows.filter(row => [row.t, row.v, row.i].every(Number.isFinite))
+  if (!valid.length) {
+    throw new Error('Not a DP100 recording, it needs time, voltage and current columns')
+  }
+  valid.sort((a, b) => a.t - b.t)
+  const samples = Object.fromEntries(keys.map(key => [key, valid.map(row => row[key] ?? null)]))
+  samples.p = valid.map(row => row.p ?? row.v * row.i)
+  return { name: metadata.session ?? name, metadata, samples }
+}
+
+/**
+ * Let the browser download a file.
+ *
+ * @param {String} filename - The suggested file name.
+ * @param {String} content - The file's content.
+ * @param {String} type - The file's MIME type.
+ */
+export function download (filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = Object.assign(document.createElement('a'), { href: url, download: filename })
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url))
+}
@@ -0,0 +1,90 @@
+import { LitElement, html } from 'lit'
+import { panelStyles } from './panel.js'
+
+/** Panel to flash a local firmware image onto the DP100. */
+export class FirmwareUpgradeElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    deviceInfo: { type: Object, attribute: false },
+    file: { type: Object, state: true },
+    check: { type: Object, state: true },
+    progress: { type: Object, state: true },
+    controller: { type: Object, state: true },
+    status: { type: String, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  render () {
+    if (!this.deviceInfo) {
+      return html`<p>Connect a device to upgrade its firmware.</p>`
+    }
+    return html`
+      <p>Current firmware: ${this.deviceInfo.firmwareVersion.toFixed(1)} (run ${this.deviceInfo.runVersion})</p>
+      <form @submit=${this.upgrade.bind(this)}>
+        <label for="image">Firmware image</label>
+        <input type="file" id="image" name="image" accept=".bin" required
+               ?disabled=${this.controller} @change=${this.select.bind(this)}>
+        ${this.check ? html`
+          <span>Size</span><span>${this.check.size} bytes in ${this.check.chunks} chunks</span>
+          <span>CRC</span><span>0x${this.check.crc.toString(16).padStart(4, '0')}</span>
+          <span>Bootloader</span><span>${this.check.firmwareInfo.bootVersion}</span>
+        ` : ''}
+        ${this.progress ? html`
+          <label for="progress">Progress</label>
+          <progress id="progress" value=${this.progress.sent} max=${this.progress.total}></progress>
+        ` : ''}
+        <div class="actions">
+          <button type="submit" ?disabled=${!this.check || this.controller}>Upgrade</button>
+          <button type="button" ?disabled=${!this.controller} @click=${this.abort.bind(this)}>Abort</button>
+        </div>
+      </form>
+      ${this.status ? html`<p>${this.status}</p>` : ''}
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+    `
+  }
+
+  async select (event) {
+    this.file = event.target.files[0]
+    this.check = null
+    this.progress = null
+    this.status = null
+    this.error = null
+    if (!this.file) {
+      return
+    }
+    try {
+      this.check = await this.psu.checkFirmware(await this.file.arrayBuffer())
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+
+  async upgrade (event) {
+    event.preventDefault()
+    if (!confirm(`Flash ${this.file.name} onto ${this.psu.deviceTag}? Do not unplug the device until it is done.`)) {
+      return
+    }
+    this.controller = new AbortController()
+    this.error = null
+    this.status = 'Uploading…'
+    try {
+      const deviceInfo = await this.psu.upgradeFirmware(await this.file.arrayBuffer(), {
+        signal: this.controller.signal,
+        onProgress: (progress) => { this.progress = progress },
+      })
+      this.status = `Upgrade complete, firmware ${deviceInfo.firmwareVersion.toFixed(1)} (run ${deviceInfo.runVersion})`
+    } catch (error) {
+      this.status = null
+      this.error = error.name === 'AbortError' ? 'Upgrade aborted, the firmware was not changed.' : error.message
+    } finally {
+      this.controller = null
+    }
+  }
+
+  abort () {
+    this.controller?.abort()
+  }
+}
+
+customElements.define('dp100-firmware', FirmwareUpgradeElement)
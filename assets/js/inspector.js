@@ -0,0 +1,185 @@
+import { LitElement, html, css } from 'lit'
+import { FUNCTIONS } from './dp100.js'
+import { download } from './export.js'
+import { panelStyles } from './panel.js'
+import { decodeFrame, parseCapture, toHex } from './protocol.js'
+
+const maxRows = 200  // frames shown, the capture keeps more
+
+/** Panel to capture, inspect, export and replay the raw frames exchanged with the DP100. */
+export class InspectorElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    capture: { type: Object, attribute: false },
+    replaying: { type: Boolean, attribute: false },
+    hidePolls: { type: Boolean, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = [panelStyles, css`
+    td {
+      white-space: nowrap;
+    }
+
+    td.data {
+      white-space: normal;
+      word-break: break-all;
+    }
+
+    .bad {
+      color: rgb(200 0 0);
+    }
+  `]
+
+  constructor () {
+    super()
+    this.hidePolls = true
+    this.rows = []  // the frames shown by their position in the capture, counting dropped ones, see updateRows
+    this.decoded = new WeakMap()  // frame → decodeFrame, each shown frame is decoded once
+    this.receiveChange = () => {
+      // frames arrive at the polling rate, render at most once per frame
+      this.scheduled ??= requestAnimationFrame(() => {
+        this.scheduled = null
+        this.requestUpdate()
+      })
+    }
+  }
+
+  connectedCallback () {
+    super.connectedCallback()
+    this.capture.addEventListener('change', this.receiveChange)
+  }
+
+  disconnectedCallback () {
+    super.disconnectedCallback()
+    this.capture.removeEventListener('change', this.receiveChange)
+  }
+
+  /**
+   * Bring the shown frames up to date with the capture.
+   *
+   * Only frames added since the last update are looked at, the capture is scanned from its end
+   * when it was cleared or the filter changed.
+   *
+   * @returns {Object[]} - The frames to show.
+   */
+  updateRows () {
+    const { frames, dropped } = this.capture
+    const shown = (position) => !this.hidePolls || frames[position - dropped].data[1] !== FUNCTIONS.BASIC_INFO
+    const total = dropped + frames.length
+    if (frames !== this.rowsFrames || this.hidePolls !== this.rowsHidePolls || total < this.rowsTotal) {
+      this.rows = []
+      for (let position = total - 1; position >= dropped && this.rows.length < maxRows; position--) {
+        if (shown(position)) {
+          this.rows.unshift(position)
+        }
+      }
+    } else {
+      for (let position = Math.max(this.rowsTotal, dropped); position < total; position++) {
+        if (shown(position)) {
+          this.rows.push(position)
+        }
+      }
+      const stale = this.rows.findIndex(position => position >= dropped)
+      this.rows.splice(0, Math.max(this.rows.length - maxRows, stale === -1 ? this.rows.length : stale))
+    }
+    this.rowsFrames = frames
+    this.rowsHidePolls = this.hidePolls
+    this.rowsTotal = total
+    return this.rows.map(position => frames[position - dropped])
+  }
+
+  /**
+   * Decode a captured frame, once.
+   *
+   * @param {{direction: String, data: Uint8Array}} frame - A frame of the capture.
+   * @returns {Object} - The decoded frame, see {@link decodeFrame}.
+   */
+  decode (frame) {
+    let decoded = this.decoded.get(frame)
+    if (!decoded) {
+      decoded = decodeFrame(frame.direction, frame.data)
+      this.decoded.set(frame, decoded)
+    }
+    return decoded
+  }
+
+  render () {
+    const { capturing, frames, dropped } = this.capture
+    const rows = this.updateRows()
+    const started = frames[0]?.time ?? 0
+    return html`
+      <p>
+        ${capturing
+          ? html`<button @click=${() => this.capture.stop()}>Stop capture</button>`
+          : html`<button @click=${() => this.capture.start()}>Start capture</button>`}
+        <button ?disabled=${!frames.length} @click=${() => this.capture.clear()}>Clear</button>
+        <button ?disabled=${!frames.length} @click=${this.save.bind(this)}>Export JSON</button>
+        ${this.replaying
+          ? html`<button @click=${() => this.psu.stopReplay()}>Stop replay</button>`
+          : html`
+            <label>
+              Replay
+              <input type="file" accept=".json,application/json" @change=${this.load.bind(this)}>
+            </label>
+          `}
+      </p>
+      <p>
+        <label>
+          <input type="checkbox" .checked=${this.hidePolls}
+                 @change=${(event) => { this.hidePolls = event.target.checked }}>
+          Hide BASIC_INFO polls
+        </label>
+        ${frames.length} frames${dropped ? `, ${dropped} older ones dropped` : ''}${capturing ? ', capturing…' : ''}
+      </p>
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+      <table>
+        <tr>
+          <th>Time (s)</th>
+          <th></th>
+          <th>Function</th>
+          <th>Seq</th>
+          <th>Len</th>
+          <th>CRC</th>
+          <th>Data</th>
+        </tr>
+        ${rows.map((row) => {
+          const { time, direction } = row
+          const frame = this.decode(row)
+          return html`
+            <tr>
+              <td>${((time - started) / 1000).toFixed(3)}</td>
+              <td title=${direction === 'tx' ? 'Sent' : 'Received'}>${direction === 'tx' ? '→' : '←'}</td>
+              <td>${frame.name}</td>
+              <td>${frame.sequence ?? '–'}</td>
+              <td>${frame.length}</td>
+              <td class=${frame.crc ? '' : 'bad'}>${frame.crc ? 'ok' : 'bad'}</td>
+              <td class="data" title=${toHex(frame.frame)}>
+                ${frame.fields ? JSON.stringify(frame.fields) : toHex(frame.payload)}
+              </td>
+            </tr>
+          `
+        })}
+      </table>
+    `
+  }
+
+  save () {
+    const name = this.psu.label ? `capture-${this.psu.label}` : 'capture'
+    download(`${name}.json`, JSON.stringify(this.capture), 'application/json')
+  }
+
+  async load (event) {
+    const [file] = event.target.files
+    if (!file) {
+      return
+    }
+    this.error = null
+    try {
+      await this.psu.replay(parseCapture(await file.text()))
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+}
+
+customElements.define('dp100-inspector', InspectorElement)
@@ -0,0 +1,61 @@
+/**
+ * Software interlocks, enforced by the driver on top of the device's own OVP/OCP.
+ *
+ * Every limit is optional, `null` disables it.
+ */
+export const INTERLOCKS = Object.freeze({
+  vMax: null,  // V, highest voltage setting
+  iMax: null,  // A, highest current setting
+  pMax: null,  // W, highest power, both as vo_set × io_set and as measured
+  tempMax: null,  // °C, the output is switched off above, applies to both sensors
+  vInMin: null,  // V, the output is switched off below
+  vInMax: null,  // V, the output is switched off above
+  confirmAbove: null,  // V, raising the voltage setting past it needs a confirmation
+})
+
+/**
+ * Check output settings against the interlocks.
+ *
+ * @param {Object} interlocks - The interlocks, see {@link INTERLOCKS}.
+ * @param {Object} settings - The output settings to apply.
+ * @param {Number} settings.vo_set - Output voltage setting in V.
+ * @param {Number} settings.io_set - Output current setting in A.
+ * @returns {String|null} - Why the settings are refused, if they are.
+ */
+export function checkSettings (interlocks, { vo_set, io_set }) {
+  const { vMax, iMax, pMax } = interlocks
+  if (vMax !== null && Number(vo_set) > vMax) {
+    return `${vo_set} V exceeds the ${vMax} V interlock`
+  }
+  if (iMax !== null && Number(io_set) > iMax) {
+    return `${io_set} A exceeds the ${iMax} A interlock`
+  }
+  if (pMax !== null && vo_set * io_set > pMax) {
+    return `${vo_set} V × ${io_set} A exceeds the ${pMax} W interlock`
+  }
+  return null
+}
+
+/**
+ * Check a measurement against the interlocks.
+ *
+ * @param {Object} interlocks - The interlocks, see {@link INTERLOCKS}.
+ * @param {Object} info - The basic info received from the DP100.
+ * @returns {String|null} - Why the output must be switched off, if it must.
+ */
+export function checkReadings (interlocks, { vIn, vOut, iOut, temp1, temp2 }) {
+  const { pMax, tempMax, vInMin, vInMax } = interlocks
+  if (tempMax !== null && Math.max(temp1, temp2) > tempMax) {
+    return `Temperature ${Math.max(temp1, temp2)} °C above ${tempMax} °C`
+  }
+  if (vInMin !== null && vIn < vInMin) {
+    return `Input voltage ${vIn} V below ${vInMin} V`
+  }
+  if (vInMax !== null && vIn > vInMax) {
+    return `Input voltage ${vIn} V above ${vInMax} V`
+  }
+  if (pMax !== null && vOut * iOut > pMax) {
+    return `Output power ${(vOut * iOut).toFixed(2)} W above ${pMax} W`
+  }
+  return null
+}
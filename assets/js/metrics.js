@@ -0,0 +1,147 @@
+/**
+ * The gap threshold for a sampling interval, a few intervals but at least 1 s, so that slow
+ * rates aren't counted as gaps throughout.
+ *
+ * @param {Number} interval - Time between samples in ms, e.g. the DP100's `refreshRate`.
+ * @returns {Number} - The longest time between two samples that is integrated in s.
+ */
+export function maxGapFor (interval) {
+  return Math.max(1, 5 * (interval || 0) / 1000)
+}
+
+/**
+ * Running statistics of the output: charge, energy, on-time and min/avg/max/RMS of V, I and P.
+ *
+ * Values are integrated with the trapezoidal rule over the samples' own timestamps, so
+ * averages are time-weighted and unevenly spaced reports don't skew them. Gaps longer than
+ * `maxGap`, e.g. dropped reports or a disconnect, are not integrated, but counted. Derive it
+ * from the sampling interval with {@link maxGapFor}.
+ *
+ * @example
+ *
+ * const statistics = new Statistics()
+ * statistics.add({ t: 0, v: 3.7, i: 0.1, on: 1 })
+ * statistics.add({ t: 1, v: 3.7, i: 0.1, on: 1 })
+ * statistics.result.mAh  // 0.0278
+ */
+export class Statistics {
+  /**
+   * @param {Object} options
+   * @param {Number} options.maxGap - Longest time between two samples that is integrated in s.
+   */
+  constructor ({ maxGap = 1 } = {}) {
+    this.maxGap = maxGap
+    this.reset()
+  }
+
+  /** Start over. */
+  reset () {
+    this.samples = 0
+    this.gaps = 0
+    this.duration = 0  // s, integrated time
+    this.onTime = null  // s, null if the output state is unknown
+    this.first = null
+    this.last = null
+    this.integrals = {
+      v: { min: Infinity, max: -Infinity, sum: 0, sumSq: 0 },
+      i: { min: Infinity, max: -Infinity, sum: 0, sumSq: 0 },
+      p: { min: Infinity, max: -Infinity, sum: 0, sumSq: 0 },
+    }
+  }
+
+  /**
+   * Add a sample.
+   *
+   * @param {Object} sample
+   * @param {Number} sample.t - Timestamp in s, must not decrease.
+   * @param {Number} sample.v - Output voltage in V.
+   * @param {Number} sample.i - Output current in A.
+   * @param {Number} sample.on - Output state, 1 for on, null or undefined if unknown.
+   */
+  add ({ t, v, i, on }) {
+    const sample = { t, v, i, p: v * i, on }
+    if (![t, v, i].every(Number.isFinite)) {
+      return
+    }
+    this.samples++
+    for (const key of ['v', 'i', 'p']) {
+      const integral = this.integrals[key]
+      integral.min = Math.min(integral.min, sample[key])
+      integral.max = Math.max(integral.max, sample[key])
+    }
+    const previous = this.last
+    this.first ??= sample
+    this.last = sample
+    if (!previous) {
+      return
+    }
+    const dt = t - previous.t
+    if (!(dt > 0)) {
+      return
+    }
+    if (dt > this.maxGap) {
+      this.gaps++
+      return
+    }
+    this.duration += dt
+    for (const key of ['v', 'i', 'p']) {
+      const integral = this.integrals[key]
+      integral.sum += (previous[key] + sample[key]) / 2 * dt
+      integral.sumSq += (previous[key] ** 2 + sample[key] ** 2) / 2 * dt
+    }
+    if (previous.on !== undefined && previous.on !== null) {
+      this.onTime = (this.onTime ?? 0) + (previous.on ? dt : 0)
+    }
+  }
+
+  /**
+   * The statistics so far.
+   *
+   * @returns {{samples: Number, gaps: Number, duration: Number, span: Number, onTime: Number|null,
+   *   Ah: Number, mAh: Number, Wh: Number, v: Object, i: Object, p: Object}} - `v`, `i` and `p`
+   *   each hold the `min`, `avg`, `max` and `rms` value, or null without samples.
+   */
+  get result () {
+    const summary = ({ min, max, sum, sumSq }) => this.samples ? {
+      min,
+      max,
+      avg: this.duration ? sum / this.duration : min,
+      rms: this.duration ? Math.sqrt(sumSq / this.duration) : min,
+    } : null
+    const Ah = this.integrals.i.sum / 3600
+    return {
+      samples: this.samples,
+      gaps: this.gaps,
+      duration: this.duration,
+      span: this.first ? this.last.t - this.first.t : 0,
+      onTime: this.onTime,
+      Ah,
+      mAh: Ah * 1000,
+      Wh: this.integrals.p.sum / 3600,
+      v: summary(this.integrals.v),
+      i: summary(this.integrals.i),
+      p: summary(this.integrals.p),
+    }
+  }
+}
+
+/**
+ * Compute the statistics of a recording, or of a time range of it.
+ *
+ * @param {Object<string, Number[]>} samples - The recording's columns, see `COLUMNS` in export.js.
+ * @param {Object} options
+ * @param {Number} options.from - Start of the range in s, inclusive.
+ * @param {Number} options.to - End of the range in s, inclusive.
+ * @param {Number} options.maxGap - Longest time between two samples that is integrated in s.
+ * @returns {Object} - The statistics, see {@link Statistics#result}.
+ */
+export function computeStatistics (samples, { from = -Infinity, to = Infinity, maxGap } = {}) {
+  const statistics = new Statistics({ maxGap })
+  for (let row = 0; row < samples.t.length; row++) {
+    const t = samples.t[row]
+    if (t >= from && t <= to) {
+      statistics.add({ t, v: samples.v[row], i: samples.i[row], on: samples.on?.[row] })
+    }
+  }
+  return statistics.result
+}
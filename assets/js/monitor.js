@@ -0,0 +1,149 @@
+import { outputState } from './dp100.js'
+
+/**
+ * Values and events alarm rules can watch.
+ *
+ * Sources with a `value` are compared against a threshold, the others trigger on an event.
+ */
+export const ALARM_SOURCES = Object.freeze({
+  vOut: Object.freeze({ label: 'Output voltage', unit: 'V', value: info => info.vOut }),
+  iOut: Object.freeze({ label: 'Output current', unit: 'A', value: info => info.iOut }),
+  pOut: Object.freeze({ label: 'Output power', unit: 'W', value: info => info.vOut * info.iOut }),
+  temp: Object.freeze({ label: 'Temperature', unit: '°C', value: info => Math.max(info.temp1, info.temp2) }),
+  vIn: Object.freeze({ label: 'Input voltage', unit: 'V', value: info => info.vIn }),
+  mode: Object.freeze({ label: 'CC/CV mode change' }),
+  trip: Object.freeze({ label: 'Protection trip' }),
+})
+
+/**
+ * Describe an alarm rule.
+ *
+ * @param {Object} rule - The rule, see {@link AlarmMonitor#rules}.
+ * @returns {String} - E.g. `Output current above 0.5 A`.
+ */
+export function describeRule ({ source, condition, threshold }) {
+  const { label, unit, value } = ALARM_SOURCES[source]
+  return value ? `${label} ${condition} ${threshold} ${unit}` : label
+}
+
+/**
+ * Watches the measurements of a DP100 and raises alarms.
+ *
+ * A rule triggers once when its condition becomes true and is re-armed once it is false again.
+ * Each rule may show a browser notification, beep and switch the output off, which stops the timer,
+ * sequence, sweep or charge driving it too, see `switchOff` in dp100.js.
+ *
+ * Dispatches `alarm` events with the history entry as their detail.
+ *
+ * @example
+ *
+ * const monitor = new AlarmMonitor(psu)
+ * monitor.rules = [{ id: 1, enabled: true, source: 'iOut', condition: 'above', threshold: 0.5, beep: true }]
+ * monitor.addEventListener('alarm', (event) => console.warn(event.detail.message))
+ */
+export class AlarmMonitor extends EventTarget {
+  maxHistory = 1000  // entries kept, older ones are dropped
+
+  /**
+   * @param {Object} psu - A DP100 instance, dispatching `basicinfo` events.
+   */
+  constructor (psu) {
+    super()
+    this.psu = psu
+    /**
+     * The alarm rules, each with an `id`, `enabled`, `source` (a key of {@link ALARM_SOURCES}),
+     * `condition` (`above` or `below`) and `threshold` for values, and the actions `notify`, `beep` and `off`.
+     */
+    this.rules = []
+    this.history = []
+    this.active = new Set()  // ids of the rules whose condition is true
+    psu.addEventListener('basicinfo', (event) => this.check(event.detail))
+    psu.addEventListener('disconnect', () => { this.mode = undefined })
+  }
+
+  /**
+   * Evaluate all rules against a measurement.
+   *
+   * @param {Object} info - The basic info received from the DP100.
+   */
+  check (info) {
+    const state = outputState(info)
+    const mode = state.fault || this.psu.settings?.state ? state.name : 'off'
+    for (const rule of this.rules) {
+      if (!rule.enabled || !ALARM_SOURCES[rule.source]) {
+        this.active.delete(rule.id)
+        continue
+      }
+      const { value } = ALARM_SOURCES[rule.source]
+      let reading, met
+      switch (rule.source) {
+        case 'mode':
+          reading = mode
+          met = (this.mode === 'CC' && mode === 'CV') || (this.mode === 'CV' && mode === 'CC')
+          break
+        case 'trip':
+          reading = mode
+          met = state.fault
+          break
+        default:
+          reading = value(info)
+          met = rule.condition === 'below' ? reading < rule.threshold : reading > rule.threshold
+      }
+      if (!met) {
+        this.active.delete(rule.id)
+      } else if (rule.source === 'mode' || !this.active.has(rule.id)) {
+        this.active.add(rule.id)
+        this.trigger(rule, reading)
+      }
+    }
+    this.mode = mode
+  }
+
+  /**
+   * Record an alarm and run the rule's actions.
+   *
+   * @param {Object} rule - The rule that triggered.
+   * @param {Number|String} reading - The value that triggered it.
+   */
+  trigger (rule, reading) {
+    const unit = ALARM_SOURCES[rule.source].unit
+    const entry = {
+      time: Date.now(),
+      rule: rule.id,
+      reading,
+      message: `${describeRule(rule)}: ${typeof reading === 'number' ? `${reading.toFixed(3)} ${unit}` : reading}`,
+    }
+    this.history = [...this.history, entry].slice(-this.maxHistory)
+    console.warn('Alarm', entry.message)
+    this.dispatchEvent(new CustomEvent('alarm', { detail: entry }))
+    if (rule.off && this.psu.device) {
+      // stops timers and sequences as well, which would switch the output back on
+      this.psu.switchOff(`alarm: ${describeRule(rule)}`).catch(error => console.error(error))
+    }
+    if (rule.notify && globalThis.Notification?.permission === 'granted') {
+      new Notification(`DP100 alarm${this.psu.deviceTag ? ` – ${this.psu.deviceTag}` : ''}`, { body: entry.message })
+    }
+    if (rule.beep) {
+      this.beep()
+    }
+  }
+
+  /** Play a short beep, if the environment can. */
+  beep () {
+    if (!globalThis.AudioContext) {
+      return
+    }
+    this.audio ??= new AudioContext()
+    const oscillator = this.audio.createOscillator()
+    oscillator.frequency.value = 880  // Hz
+    oscillator.connect(this.audio.destination)
+    oscillator.start()
+    oscillator.stop(this.audio.currentTime + 0.3)
+  }
+
+  /** Forget all past alarms. */
+  clear () {
+    this.history = []
+    this.dispatchEvent(new CustomEvent('alarm', { detail: null }))
+  }
+}
@@ -0,0 +1,93 @@
+/** The service worker, at the app's root so that its scope covers the whole app. */
+const workerURL = new URL('../../sw.js', import.meta.url)
+const checkInterval = 60 * 60 * 1000  // ms between checks for a new version
+
+/**
+ * Installs the service worker, which lets the app run offline, and tracks new versions of the app.
+ *
+ * A new version is installed in the background and waits until {@link AppUpdates#apply} is called,
+ * so the page is never swapped out under a running recording or sequence.
+ *
+ * Dispatches an `update` event once a new version is waiting.
+ *
+ * @example
+ *
+ * const updates = new AppUpdates()
+ * updates.addEventListener('update', () => {
+ *   if (confirm('A new version is available. Reload?')) {
+ *     updates.apply()
+ *   }
+ * })
+ * await updates.register()
+ */
+export class AppUpdates extends EventTarget {
+  waiting = null  // the installed service worker of the new version
+
+  /** Whether a new version is waiting. */
+  get available () {
+    return Boolean(this.waiting)
+  }
+
+  /** Register the service worker, if the browser supports them. */
+  async register () {
+    const container = globalThis.navigator?.serviceWorker
+    if (!container) {
+      return
+    }
+    const registration = await container.register(workerURL)
+    // without a controller this is the first install, not an update
+    const track = (worker) => {
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && container.controller) {
+          this.offer(worker)
+        }
+      })
+    }
+    if (registration.waiting && container.controller) {
+      this.offer(registration.waiting)
+    }
+    track(registration.installing)
+    registration.addEventListener('updatefound', () => track(registration.installing))
+    container.addEventListener('controllerchange', () => {
+      if (this.reloading) {
+        globalThis.location.reload()
+      }
+    })
+    setInterval(() => registration.update().catch(error => console.warn(error)), checkInterval)
+  }
+
+  /**
+   * Offer a waiting service worker as update.
+   *
+   * @param {ServiceWorker} worker - The waiting worker.
+   */
+  offer (worker) {
+    this.waiting = worker
+    this.dispatchEvent(new Event('update'))
+  }
+
+  /** Activate the new version and reload the page once it has taken over. */
+  apply () {
+    if (!this.waiting) {
+      return
+    }
+    this.reloading = true
+    this.waiting.postMessage({ type: 'skipWaiting' })
+  }
+
+  /**
+   * Ask the active service worker for its version.
+   *
+   * @returns {Promise<String|null>} - The version, or null without an active service worker.
+   */
+  async version () {
+    const worker = globalThis.navigator?.serviceWorker?.controller
+    if (!worker) {
+      return null
+    }
+    const { port1, port2 } = new MessageChannel()
+    const reply = new Promise(resolve => { port1.onmessage = (event) => resolve(event.data) })
+    worker.postMessage({ type: 'version' }, [port2])
+    return await reply
+  }
+}
@@ -0,0 +1,55 @@
+import { css } from 'lit'
+
+/** Shared styles for the panels shown in the DP100Element's menu. */
+export const panelStyles = css`
+  :host {
+    display: block;
+    font-family: monospace;
+  }
+
+  * {
+    font-family: monospace;
+  }
+
+  form {
+    display: grid;
+    grid-template-columns: max-content auto;
+    gap: 0.5em 1em;
+    align-items: center;
+  }
+
+  form > .actions {
+    grid-column: 1 / 3;
+    display: flex;
+    gap: 0.5em;
+  }
+
+  input:invalid {
+    border: medium dashed red;
+  }
+
+  input[type=number] {
+    max-width: 6em;
+  }
+
+  button {
+    font-size: 1em;
+    padding: 0.25em 1em;
+  }
+
+  .error {
+    color: rgb(200 0 0);
+  }
+
+  table {
+    border-collapse: collapse;
+  }
+
+  th, td {
+    text-align: left;
+    padding: 0.125em 1em 0.125em 0;
+  }
+`
+
+/** uPlot's stylesheet, to link in the shadow root of every element with a plot. */
+export const uplotStyles = new URL('../vendor/uplot/uPlot.min.css', import.meta.url).href
@@ -0,0 +1,89 @@
+import { LitElement, html, css, nothing } from 'lit'
+import { PRESETS } from './dp100.js'
+
+/** Strip of preset groups, click to recall a preset or save the current setpoints into it. */
+export class PresetStripElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    presets: { type: Array, attribute: false },
+    settings: { type: Object, attribute: false },
+    saving: { type: Boolean, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = css`
+    :host {
+      display: flex;
+      gap: 0.25em;
+      padding: 0.25em;
+    }
+
+    * {
+      font-family: monospace;
+    }
+
+    button {
+      flex: 1 1 0;
+      font-size: 1em;
+      border: none;
+      background-color: #efefef;
+      color: black;
+      white-space: nowrap;
+      overflow: hidden;
+    }
+
+    button[aria-current] {
+      outline: medium solid #03a2e9;
+    }
+
+    #save[aria-pressed=true], :host([saving]) .preset {
+      background-color: rgb(250 200 0 / 85%);
+    }
+
+    .error {
+      color: rgb(200 0 0);
+    }
+  `
+
+  render () {
+    return html`
+      ${Array.from({ length: PRESETS }, (_, index) => this.renderPreset(index))}
+      <button id="save" aria-pressed=${Boolean(this.saving)} ?disabled=${!this.settings}
+              @click=${() => { this.saving = !this.saving }}
+              title="Save the current setpoints into the next preset you click">Save</button>
+      ${this.error ? html`<span class="error">${this.error}</span>` : ''}
+    `
+  }
+
+  renderPreset (index) {
+    const preset = this.presets?.[index]
+    const active = preset && this.settings &&
+      preset.vo_set === Number(this.settings.vo_set) && preset.io_set === Number(this.settings.io_set)
+    return html`
+      <button class="preset" ?disabled=${!this.settings} aria-current=${active || nothing}
+              @click=${() => this.select(index)}>
+        M${index}
+        ${preset ? html`<small>${preset.vo_set.toFixed(2)}V ${preset.io_set.toFixed(2)}A</small>` : ''}
+      </button>
+    `
+  }
+
+  updated (changedProperties) {
+    this.toggleAttribute('saving', Boolean(this.saving))
+  }
+
+  async select (index) {
+    this.error = null
+    try {
+      if (this.saving) {
+        this.saving = false
+        await this.psu.setPreset(index, this.settings)
+      } else {
+        await this.psu.recallPreset(index)
+      }
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+}
+
+customElements.define('dp100-presets', PresetStripElement)
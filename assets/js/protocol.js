@@ -0,0 +1,334 @@
+import { crc16, decodeReply, FUNCTIONS, functionName, MAGIC_BYTES } from './dp100.js'
+import { decodeRequest, VirtualDP100 } from './simulator.js'
+
+const reportSize = 64  // HID reports are always padded to 64 bytes
+const captureFormat = 'dp100-capture'
+
+/**
+ * Format bytes as hex.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {String} - E.g. `fb30000000c0`.
+ */
+export function toHex (bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Parse hex into bytes.
+ *
+ * @param {String} hex - The hex string, see {@link toHex}.
+ * @returns {Uint8Array} - The bytes.
+ */
+export function fromHex (hex) {
+  if (!/^([0-9a-f]{2})*$/i.test(hex)) {
+    throw new Error(`Invalid hex: ${hex}`)
+  }
+  return Uint8Array.from(hex.match(/../g) ?? [], byte => parseInt(byte, 16))
+}
+
+/**
+ * Decode a raw frame for inspection.
+ *
+ * Requests from the host may omit the sequence byte, replies from the DP100 always have it.
+ *
+ * @param {String} direction - `tx` for frames sent to the DP100, `rx` for frames received from it.
+ * @param {Uint8Array} data - The raw frame, trailing report padding is ignored.
+ * @returns {{functionId: Number, name: String, sequence: Number|null, length: Number, crc: Boolean,
+ *   payload: Uint8Array, frame: Uint8Array, fields: Object|null}} - `crc` tells whether the checksum
+ *   matched, `frame` is the frame without padding and `fields` the decoded reply, if any.
+ */
+export function decodeFrame (direction, data) {
+  const functionId = data[1] ?? FUNCTIONS.NONE
+  if (direction === 'tx') {
+    const request = decodeRequest(data)
+    if (request) {
+      const payload = new Uint8Array(request.content.buffer, request.content.byteOffset, request.content.byteLength)
+      const headerLength = request.sequence === null ? 3 : 4
+      return {
+        functionId,
+        name: functionName(functionId),
+        sequence: request.sequence,
+        length: payload.length,
+        crc: true,
+        payload,
+        frame: data.subarray(0, headerLength + payload.length + 2),
+        fields: null,
+      }
+    }
+  }
+  const length = Math.min(data[3] ?? 0, Math.max(0, data.length - 6))
+  const end = 4 + length
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+  const crc = end + 2 <= data.length && crc16(data.slice(0, end)) === view.getUint16(end, true)
+  let fields = null
+  if (crc && direction === 'rx') {
+    try {
+      fields = decodeReply(functionId, new DataView(data.buffer, data.byteOffset + 4, length), data[2])
+    } catch (error) {
+      // too short for its function, shown undecoded
+    }
+  }
+  return {
+    functionId,
+    name: functionName(functionId),
+    sequence: data[2] ?? null,
+    length,
+    crc,
+    payload: data.subarray(4, end),
+    frame: data.subarray(0, Math.min(data.length, end + 2)),
+    fields,
+  }
+}
+
+/**
+ * Parse a capture saved by {@link ProtocolCapture#toJSON}.
+ *
+ * @param {String} text - The capture's JSON.
+ * @returns {{device: Object|null, started: Number, frames: Object[]}} - The capture, with frames like
+ *   those of {@link ProtocolCapture#frames}.
+ * @throws {Error} - If the text isn't a capture.
+ */
+export function parseCapture (text) {
+  const capture = JSON.parse(text)
+  if (capture?.format !== captureFormat || !Array.isArray(capture.frames)) {
+    throw new Error('Not a DP100 capture')
+  }
+  if (capture.version !== 1) {
+    throw new Error(`Unsupported capture version ${capture.version}`)
+  }
+  const started = Date.parse(capture.started) || 0
+  return {
+    device: capture.device ?? null,
+    started,
+    frames: capture.frames.map(({ t, dir, hex }, index) => {
+      if (!Number.isFinite(t) || (dir !== 'tx' && dir !== 'rx')) {
+        throw new Error(`Invalid frame ${index + 1}`)
+      }
+      return { time: started + t, direction: dir, data: fromHex(hex) }
+    }),
+  }
+}
+
+/**
+ * Captures the raw frames exchanged with a DP100.
+ *
+ * Dispatches `change` events whenever frames are added or cleared.
+ *
+ * @example
+ *
+ * const capture = new ProtocolCapture(psu)
+ * capture.start()
+ * // …
+ * capture.stop()
+ * download('capture.json', JSON.stringify(capture), 'application/json')
+ */
+export class ProtocolCapture extends EventTarget {
+  maxFrames = 100000  // frames kept, older ones are dropped
+
+  /**
+   * @param {Object} psu - A DP100 instance, dispatching `frame` events.
+   */
+  constructor (psu) {
+    super()
+    this.psu = psu
+    this.capturing = false
+    this.clear()
+    psu.addEventListener('frame', (event) => {
+      if (this.capturing) {
+        this.add(event.detail)
+      }
+    })
+  }
+
+  /** Start capturing. */
+  start () {
+    this.capturing = true
+    this.dispatchEvent(new Event('change'))
+  }
+
+  /** Stop capturing, the frames are kept. */
+  stop () {
+    this.capturing = false
+    this.dispatchEvent(new Event('change'))
+  }
+
+  /** Forget all captured frames. */
+  clear () {
+    /** The frames, each with its `time` in ms since the epoch, `direction` and raw `data`. */
+    this.frames = []
+    this.dropped = 0
+    this.dispatchEvent(new Event('change'))
+  }
+
+  /**
+   * Add a frame.
+   *
+   * @param {{direction: String, time: Number, data: Uint8Array}} frame - The frame, see the `frame` event.
+   */
+  add ({ direction, time, data }) {
+    this.frames.push({ direction, time, data: decodeFrame(direction, data).frame })
+    if (this.frames.length > this.maxFrames * 1.1) {
+      const excess = this.frames.length - this.maxFrames
+      this.frames.splice(0, excess)
+      this.dropped += excess
+    }
+    this.dispatchEvent(new Event('change'))
+  }
+
+  /** The capture as saved, frame times are relative to its start. */
+  toJSON () {
+    const started = this.frames[0]?.time ?? Date.now()
+    return {
+      format: captureFormat,
+      version: 1,
+      started: new Date(started).toISOString(),
+      device: this.psu.deviceInfo ?? null,
+      frames: this.frames.map(({ time, direction, data }) => ({ t: time - started, dir: direction, hex: toHex(data) })),
+    }
+  }
+}
+
+/**
+ * Virtual DP100 replaying a capture.
+ *
+ * The captured readings are streamed with their original timing, and repeated once the capture
+ * ends. Requests are answered by the simulator, seeded with the captured device info, system
+ * settings and output settings, so that the UI can be used as with the real device.
+ */
+export class ReplayDevice extends VirtualDP100 {
+  /**
+   * @param {Object} capture - The capture, see {@link parseCapture}.
+   * @param {Object} options - Options passed to the {@link VirtualDP100}.
+   */
+  constructor (capture, options = {}) {
+    super(options)
+    this.capture = capture
+    this.readings = capture.frames.filter(frame => frame.direction === 'rx' && frame.data[1] === FUNCTIONS.BASIC_INFO)
+    this.replies = new Map()  // function ID → the last captured reply, see decodeFrame
+    let reading = false  // whether the last BASIC_SET request read the output's settings
+    for (const { direction, data } of capture.frames) {
+      const decoded = decodeFrame(direction, data)
+      if (direction === 'tx') {
+        if (decoded.functionId === FUNCTIONS.BASIC_SET) {
+          reading = decoded.payload[0] === MAGIC_BYTES.READ
+        }
+        continue
+      }
+      if (!decoded.fields) {
+        continue
+      }
+      this.replies.set(decoded.functionId, decoded)
+      if (decoded.functionId === FUNCTIONS.BASIC_SET && reading && decoded.fields.state !== undefined) {
+        const { state, vo_set, io_set, ovp_set, ocp_set } = decoded.fields
+        this.settings = { state, vo_set, io_set, ovp_set, ocp_set }
+      }
+    }
+    const system = this.replies.get(FUNCTIONS.SYSTEM_INFO)?.fields
+    if (system) {
+      this.system = { ...system }
+    }
+    this.timer = null
+  }
+
+  async open () {
+    await super.open()
+    this.play()
+  }
+
+  async close () {
+    clearTimeout(this.timer)
+    this.timer = null
+    await super.close()
+  }
+
+  unplug () {
+    clearTimeout(this.timer)
+    this.timer = null
+    super.unplug()
+  }
+
+  /** Stream the captured readings from the start. */
+  play () {
+    clearTimeout(this.timer)
+    if (!this.readings.length) {
+      return
+    }
+    const first = this.readings[0].time
+    const started = Date.now()
+    let index = 0
+    const next = () => {
+      if (!this.opened) {
+        return
+      }
+      while (index < this.readings.length && this.readings[index].time - first <= Date.now() - started) {
+        this.emit(this.readings[index++].data)
+      }
+      if (index >= this.readings.length) {
+        this.play()
+        return
+      }
+      this.timer = setTimeout(next, Math.max(0, this.readings[index].time - first - (Date.now() - started)))
+    }
+    next()
+  }
+
+  /**
+   * Send a captured frame to the host.
+   *
+   * @param {Uint8Array} data - The frame.
+   */
+  emit (data) {
+    const report = new Uint8Array(reportSize)
+    report.set(data.subarray(0, reportSize))
+    this.dispatchEvent(Object.assign(new Event('inputreport'), {
+      device: this, reportId: 0, data: new DataView(report.buffer)
+    }))
+  }
+
+  handleRequest (request) {
+    switch (request.functionId) {
+      case FUNCTIONS.BASIC_INFO:
+        return null  // readings are streamed from the capture
+      case FUNCTIONS.DEVICE_INFO:
+        return this.replies.get(FUNCTIONS.DEVICE_INFO)?.payload ?? super.handleRequest(request)
+      default:
+        return super.handleRequest(request)
+    }
+  }
+}
+
+/**
+ * Transport providing a {@link ReplayDevice} for a capture instead of physical hardware.
+ *
+ * @example
+ *
+ * psu.transport = new ReplayTransport(parseCapture(await file.text()))
+ * await psu.connect()
+ */
+export class ReplayTransport extends EventTarget {
+  devices = []
+
+  /**
+   * @param {Object} capture - The capture, see {@link parseCapture}.
+   * @param {Object} options - Options passed to the {@link ReplayDevice}.
+   */
+  constructor (capture, options = {}) {
+    super()
+    this.capture = capture
+    this.options = options
+  }
+
+  async requestDevice () {
+    const device = new ReplayDevice(this.capture, this.options)
+    for (const type of ['connect', 'disconnect']) {
+      device.addEventListener(type, () => this.dispatchEvent(Object.assign(new Event(type), { device })))
+    }
+    this.devices.push(device)
+    return device
+  }
+
+  async getDevices () {
+    return this.devices.filter(device => device.plugged)
+  }
+}
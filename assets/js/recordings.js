@@ -0,0 +1,251 @@
+import { LitElement, html } from 'lit'
+import { download, parseRecording, toCSV, toJSON } from './export.js'
+import { panelStyles } from './panel.js'
+
+/** Selectable sample rates, with the time between polls in ms. */
+const SAMPLE_RATES = Object.freeze([
+  ['100 Hz', 10], ['50 Hz', 20], ['20 Hz', 50], ['10 Hz', 100], ['5 Hz', 200], ['1 Hz', 1000],
+])
+
+/** Panel to record long sessions, manage stored sessions, export measurements and open exported ones. */
+export class RecordingsElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    info: { type: Object, attribute: false },
+    recording: { type: Object, attribute: false },
+    viewing: { type: Object, attribute: false },
+    overlay: { type: Object, attribute: false },
+    sessions: { type: Array, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  connectedCallback () {
+    super.connectedCallback()
+    this.refresh()
+  }
+
+  render () {
+    const { t } = this.psu.samples
+    const thinned = !this.viewing && t[0] < this.psu.thinnedUntil
+    const polls = this.psu.pollStatistics
+    const elapsed = polls && (Date.now() - polls.started) / 1000
+    return html`
+      <h3>Sampling</h3>
+      <p>
+        <label>
+          Sample rate
+          <select @change=${(event) => this.psu.setRefreshRate(Number(event.target.value))}>
+            ${SAMPLE_RATES.map(([label, refreshRate]) => html`
+              <option value=${refreshRate} ?selected=${refreshRate === this.psu.refreshRate}>${label}</option>
+            `)}
+          </select>
+        </label>
+        ${polls && elapsed > 1 ? html`
+          ${(polls.received / elapsed).toFixed(1)} samples/s,
+          ${polls.missed} missed, ${polls.deferred} deferred for commands
+        ` : ''}
+      </p>
+      <h3>Recording</h3>
+      ${this.recording ? html`
+        <p>
+          Recording “${this.recording.name}” since ${new Date(this.recording.started * 1000).toLocaleString()}
+          <button @click=${this.stop.bind(this)}>Stop</button>
+        </p>
+      ` : html`
+        <form @submit=${this.start.bind(this)}>
+          <label for="name">Name</label>
+          <input id="name" name="name" required value=${`Session ${new Date().toLocaleString()}`}>
+          <div class="actions">
+            <button type="submit" ?disabled=${!this.psu.device}>Start recording</button>
+          </div>
+        </form>
+      `}
+      <h3>Graph</h3>
+      <p>
+        ${this.viewing ? html`Showing “${this.viewing.name}”,` : ''}
+        ${this.overlay ? html`compared with “${this.overlay.name}”,` : ''}
+        ${t.length} samples
+        ${t.length ? html`from ${new Date(t[0] * 1000).toLocaleString()}
+          to ${new Date(t[t.length - 1] * 1000).toLocaleString()}` : ''}
+      </p>
+      ${thinned ? html`
+        <p class="error">
+          Samples before ${new Date(this.psu.thinnedUntil * 1000).toLocaleTimeString()} are thinned out to
+          their minima and maxima. Record a session to export every sample.
+        </p>
+      ` : ''}
+      <div class="actions">
+        <button ?disabled=${!t.length} @click=${() => this.export('csv')}>Export CSV</button>
+        <button ?disabled=${!t.length} @click=${() => this.export('json')}>Export JSON</button>
+        ${this.viewing ? html`<button @click=${() => this.psu.closeSession()}>Back to live</button>` : ''}
+        ${this.overlay ? html`<button @click=${() => this.psu.showOverlay(null)}>Remove overlay</button>` : ''}
+      </div>
+      <div class="actions">
+        <label>
+          Open file
+          <input type="file" accept=".csv,.json,text/csv,application/json" @change=${this.openFile.bind(this)}>
+        </label>
+        ${this.viewing ? html`
+          <label>
+            Overlay file
+            <input type="file" accept=".csv,.json,text/csv,application/json" @change=${this.overlayFile.bind(this)}>
+          </label>
+        ` : ''}
+      </div>
+      <h3>Sessions</h3>
+      ${this.sessions?.length ? html`
+        <table>
+          <tr><th>Name</th><th>Device</th><th>Started</th><th>Duration</th><th>Samples</th><th></th></tr>
+          ${this.sessions.map(session => html`
+            <tr>
+              <td>${session.name}</td>
+              <td>${session.metadata.device ?? ''}</td>
+              <td>${new Date(session.started * 1000).toLocaleString()}</td>
+              <td>${formatDuration((session.ended ?? session.started) - session.started)}</td>
+              <td>${session.count}</td>
+              <td>
+                <button @click=${() => this.open(session)}>Open</button>
+                ${this.viewing ? html`<button @click=${() => this.overlaySession(session)}>Overlay</button>` : ''}
+                <button @click=${() => this.exportSession(session, 'csv')}>CSV</button>
+                <button @click=${() => this.exportSession(session, 'json')}>JSON</button>
+                <button ?disabled=${session.id === this.recording?.id}
+                        @click=${() => this.delete(session)}>Delete</button>
+              </td>
+            </tr>
+          `)}
+        </table>
+      ` : html`<p>No stored sessions.</p>`}
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+    `
+  }
+
+  /** Reload the list of stored sessions. */
+  async refresh () {
+    try {
+      this.sessions = await this.psu.store.listSessions()
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+
+  async start (event) {
+    event.preventDefault()
+    await this.run(() => this.psu.startRecording(event.target.name.value))
+  }
+
+  async stop () {
+    await this.run(() => this.psu.stopRecording())
+  }
+
+  async open (session) {
+    await this.run(() => this.psu.openSession(session.id))
+  }
+
+  async overlaySession (session) {
+    await this.run(async () => this.psu.showOverlay(await this.psu.store.loadSession(session.id)))
+  }
+
+  async openFile (event) {
+    await this.run(async () => this.psu.openRecording(await this.readFile(event.target)))
+  }
+
+  async overlayFile (event) {
+    await this.run(async () => this.psu.showOverlay(await this.readFile(event.target)))
+  }
+
+  /**
+   * Read the recording chosen in a file input, and reset the input to allow choosing the same file again.
+   *
+   * @param {HTMLInputElement} input - The file input.
+   * @returns {Promise<Object>} - The recording, see `parseRecording` in export.js.
+   */
+  async readFile (input) {
+    const [file] = input.files
+    input.value = ''
+    if (!file) {
+      throw new Error('No file chosen')
+    }
+    return parseRecording(await file.text(), file.name.replace(/\.[^.]*$/, ''))
+  }
+
+  async delete (session) {
+    if (confirm(`Delete “${session.name}”?`)) {
+      await this.run(() => this.psu.store.deleteSession(session.id))
+    }
+  }
+
+  /**
+   * Run an action, show its error if it fails and refresh the session list afterward.
+   *
+   * @param {function(): Promise<void>} action - The action to run.
+   */
+  async run (action) {
+    this.error = null
+    try {
+      await action()
+    } catch (error) {
+      this.error = error.message
+    }
+    await this.refresh()
+  }
+
+  /**
+   * Download the samples shown in the graph.
+   *
+   * A recording shown is downloaded in full. The live samples are downloaded as kept, after
+   * confirming if older ones are thinned out, which the metadata's `thinnedUntil` then tells.
+   *
+   * @param {String} format - Either `csv` or `json`.
+   */
+  export (format) {
+    if (this.viewing) {
+      this.download(this.viewing.samples, { ...this.viewing.metadata, session: this.viewing.name }, format)
+      return
+    }
+    const { samples, metadata, thinnedUntil } = this.psu
+    if (!(samples.t[0] < thinnedUntil)) {
+      this.download(samples, metadata, format)
+    } else if (confirm('Older samples are thinned out, each pair of rows holds the minima and maxima of many. ' +
+      'Export them anyway?')) {
+      this.download(samples, { ...metadata, thinnedUntil: new Date(thinnedUntil * 1000).toISOString() }, format)
+    }
+  }
+
+  /**
+   * Download all samples of a stored session.
+   *
+   * @param {Object} session - The session as listed by the store.
+   * @param {String} format - Either `csv` or `json`.
+   */
+  async exportSession (session, format) {
+    await this.run(async () => {
+      const { samples } = await this.psu.store.loadSession(session.id)
+      this.download(samples, { ...session.metadata, session: session.name }, format)
+    })
+  }
+
+  download (samples, metadata, format) {
+    const name = ['dp100', metadata.serialNumber, new Date().toISOString().replace(/[:.]/g, '-')]
+      .filter(Boolean).join('_')
+    if (format === 'csv') {
+      download(`${name}.csv`, toCSV(samples, metadata), 'text/csv')
+    } else {
+      download(`${name}.json`, toJSON(samples, metadata), 'application/json')
+    }
+  }
+}
+
+/**
+ * Format a duration as `h:mm:ss`.
+ *
+ * @param {Number} seconds - The duration in seconds.
+ * @returns {String} - The formatted duration.
+ */
+export function formatDuration (seconds) {
+  const s = Math.round(seconds)
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`
+}
+
+customElements.define('dp100-recordings', RecordingsElement)
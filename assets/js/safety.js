@@ -0,0 +1,82 @@
+import { LitElement, html } from 'lit'
+import { download } from './export.js'
+import { INTERLOCKS } from './interlocks.js'
+import { panelStyles } from './panel.js'
+
+/** Labels, units and input steps of the interlocks, in the order they are shown. */
+const FIELDS = Object.freeze({
+  vMax: { label: 'Max. voltage', unit: 'V', step: 0.01 },
+  iMax: { label: 'Max. current', unit: 'A', step: 0.001 },
+  pMax: { label: 'Max. power', unit: 'W', step: 0.1 },
+  confirmAbove: { label: 'Confirm voltage above', unit: 'V', step: 0.01 },
+  tempMax: { label: 'Off above temperature', unit: '°C', step: 1 },
+  vInMin: { label: 'Off below input voltage', unit: 'V', step: 0.1 },
+  vInMax: { label: 'Off above input voltage', unit: 'V', step: 0.1 },
+})
+
+/** Panel to edit the software interlocks, empty fields disable a limit, and to review the fault log. */
+export class SafetyElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    interlocks: { type: Object, attribute: false },
+    faults: { type: Array, attribute: false },
+    saved: { type: Boolean, state: true },
+  }
+  static styles = panelStyles
+
+  render () {
+    return html`
+      <p>
+        Limits are enforced for every change of the output, including sequences, charging and presets.
+        They are kept until the browser tab is closed.
+      </p>
+      <form @submit=${this.submit.bind(this)} @input=${() => { this.saved = false }}>
+        ${Object.entries(FIELDS).map(([key, { label, unit, step }]) => html`
+          <label for=${key}>${label} (${unit})</label>
+          <input type="number" id=${key} name=${key} min="0" step=${step} .value=${this.interlocks?.[key] ?? ''}>
+        `)}
+        <div class="actions">
+          <button type="submit">${this.saved ? 'Saved' : 'Save'}</button>
+          <button type="reset">Revert</button>
+        </div>
+      </form>
+      <h3>Fault log</h3>
+      ${this.faults?.length ? html`
+        <table>
+          <tr><th>Time</th><th>Trip</th><th>Reason</th><th>V</th><th>I</th><th>P</th></tr>
+          ${[...this.faults].reverse().map(fault => html`
+            <tr>
+              <td>${new Date(fault.time).toLocaleString()}</td>
+              <td>${fault.state}</td>
+              <td>${fault.reason}</td>
+              <td>${fault.vOut?.toFixed(3)} V</td>
+              <td>${fault.iOut?.toFixed(3)} A</td>
+              <td>${fault.pOut?.toFixed(3)} W</td>
+            </tr>
+          `)}
+        </table>
+        <p>
+          <button @click=${this.save.bind(this)}>Save JSON</button>
+          <button @click=${() => this.psu.clearFaults()}>Clear</button>
+        </p>
+      ` : html`<p>No protection or interlock has tripped.</p>`}
+    `
+  }
+
+  save () {
+    const name = this.psu.label ? `faults-${this.psu.label}` : 'faults'
+    const faults = { device: this.psu.deviceInfo ?? null, faults: this.faults }
+    download(`${name}.json`, JSON.stringify(faults, null, 2), 'application/json')
+  }
+
+  submit (event) {
+    event.preventDefault()
+    const form = event.target
+    this.psu.setInterlocks(Object.fromEntries(Object.keys(INTERLOCKS).map(key => [
+      key, Number.isNaN(form[key].valueAsNumber) ? null : form[key].valueAsNumber,
+    ])))
+    this.saved = true
+  }
+}
+
+customElements.define('dp100-safety', SafetyElement)
@@ -0,0 +1,306 @@
+/** Limits for the values a sequence may set. */
+const LIMITS = Object.freeze({
+  vo_set: Object.freeze({ min: 0, max: 30 }),  // V
+  io_set: Object.freeze({ min: 0, max: 5 }),  // A
+  state: Object.freeze({ min: 0, max: 1 }),
+})
+
+const maxActions = 100000  // setpoints a program may expand to, see compileProgram
+
+/** Example program, used as a starting point in the UI. */
+export const EXAMPLE_PROGRAM = Object.freeze({
+  name: 'Brown-out',
+  steps: [
+    { type: 'set', state: 1, vo_set: 3.3, io_set: 0.5, hold: 5 },
+    {
+      type: 'loop',
+      count: 3,
+      steps: [
+        { type: 'ramp', param: 'vo_set', to: 2.5, duration: 2, interval: 0.1 },
+        { type: 'set', vo_set: 2.5, hold: 1 },
+        { type: 'ramp', param: 'vo_set', to: 3.3, duration: 2, interval: 0.1 },
+      ],
+    },
+    { type: 'set', state: 0, hold: 0 },
+  ],
+})
+
+/**
+ * Validate a sequence program.
+ *
+ * A program is an object with a `name` and a list of `steps`, each being one of:
+ * - `{ type: 'set', state, vo_set, io_set, hold }` sets the given values and holds them for `hold` seconds,
+ *   `state` is 0 for off or 1 for on.
+ * - `{ type: 'ramp', param, from, to, duration, interval }` linearly ramps `param` (`vo_set` or `io_set`)
+ *   from `from` (defaults to the current value) to `to` within `duration` seconds, in `interval` second steps.
+ * - `{ type: 'loop', count, steps }` repeats the nested steps `count` times.
+ *
+ * Expanded, with its loops unrolled and ramps split into setpoints, a program may have at most
+ * 100000 actions.
+ *
+ * @param {Object} program - The program to validate.
+ * @throws {Error} - If the program is invalid, the message points to the offending step.
+ */
+export function validateProgram (program) {
+  if (!Array.isArray(program?.steps)) {
+    throw new Error('Program must have a list of steps')
+  }
+  validateSteps(program.steps, 'steps')
+  const actions = countActions(program.steps)
+  if (actions > maxActions) {
+    throw new Error(`Program expands to ${actions} setpoints, at most ${maxActions} are allowed, ` +
+      'use fewer loop rounds or longer ramp intervals')
+  }
+}
+
+/**
+ * Count the actions steps compile to, without compiling them.
+ *
+ * @param {Object[]} steps - Valid steps.
+ * @returns {Number} - The number of actions, see {@link compileProgram}.
+ */
+function countActions (steps) {
+  return steps.reduce((count, step) => {
+    switch (step.type) {
+      case 'ramp':
+        return count + Math.max(1, Math.ceil(step.duration / (step.interval ?? 0.1))) + 1
+      case 'loop':
+        return count + step.count * countActions(step.steps)
+      default:
+        return count + 1
+    }
+  }, 0)
+}
+
+function validateSteps (steps, path) {
+  steps.forEach((step, index) => {
+    const at = `${path}[${index}]`
+    const number = (key, { min = 0, max = Infinity, optional = false } = {}) => {
+      if (step[key] === undefined && optional) {
+        return
+      }
+      if (typeof step[key] !== 'number' || !(step[key] >= min && step[key] <= max)) {
+        throw new Error(`${at}.${key} must be a number between ${min} and ${max}`)
+      }
+    }
+    switch (step.type) {
+      case 'set':
+        if (step.state !== undefined && step.state !== 0 && step.state !== 1) {
+          throw new Error(`${at}.state must be 0 or 1`)
+        }
+        for (const key of Object.keys(LIMITS)) {
+          number(key, { ...LIMITS[key], optional: true })
+        }
+        number('hold', { optional: true })
+        break
+      case 'ramp': {
+        const param = step.param ?? 'vo_set'
+        if (param !== 'vo_set' && param !== 'io_set') {
+          throw new Error(`${at}.param must be vo_set or io_set`)
+        }
+        number('from', { ...LIMITS[param], optional: true })
+        number('to', LIMITS[param])
+        number('duration')
+        number('interval', { min: 0.01, optional: true })
+        break
+      }
+      case 'loop':
+        if (!Number.isInteger(step.count) || step.count < 1) {
+          throw new Error(`${at}.count must be a positive integer`)
+        }
+        if (!Array.isArray(step.steps)) {
+          throw new Error(`${at}.steps must be a list of steps`)
+        }
+        validateSteps(step.steps, `${at}.steps`)
+        break
+      default:
+        throw new Error(`${at}.type must be set, ramp or loop`)
+    }
+  })
+}
+
+/**
+ * Expand a program into a flat list of actions.
+ *
+ * Loops are unrolled and ramps are split into their individual setpoints.
+ *
+ * @param {Object} program - A valid program, see {@link validateProgram}.
+ * @param {Object} settings - The output settings at the start, used as the ramps' default start.
+ * @returns {{output: Object, hold: Number, label: String}[]} - The actions, each holding for `hold` seconds.
+ */
+export function compileProgram (program, settings = {}) {
+  const current = { vo_set: Number(settings.vo_set) || 0, io_set: Number(settings.io_set) || 0 }
+  const actions = []
+  const compile = (steps, prefix) => {
+    steps.forEach((step, index) => {
+      const name = `${prefix}${index + 1}`
+      switch (step.type) {
+        case 'set': {
+          const output = Object.fromEntries(
+            Object.keys(LIMITS).filter(key => step[key] !== undefined).map(key => [key, step[key]])
+          )
+          Object.assign(current, output)
+          actions.push({ output, hold: step.hold ?? 0, label: `${name} set` })
+          break
+        }
+        case 'ramp': {
+          const param = step.param ?? 'vo_set'
+          const from = step.from ?? current[param]
+          const interval = step.interval ?? 0.1
+          const count = Math.max(1, Math.ceil(step.duration / interval))
+          for (let k = 0; k <= count; k++) {
+            const value = Math.round((from + (step.to - from) * k / count) * 1000) / 1000
+            actions.push({
+              output: { [param]: value },
+              hold: k < count ? step.duration / count : 0,
+              label: `${name} ramp ${param}`,
+            })
+          }
+          current[param] = step.to
+          break
+        }
+        case 'loop':
+          for (let round = 0; round < step.count; round++) {
+            compile(step.steps, `${name}[${round + 1}/${step.count}].`)
+          }
+          break
+      }
+    })
+  }
+  compile(program.steps, '#')
+  return actions
+}
+
+/**
+ * Runs programmable output sequences on a DP100.
+ *
+ * Dispatches `statechange` and `progress` events with the current {@link Sequencer#progress} as their detail,
+ * as well as an `error` event if a step fails.
+ *
+ * @example
+ *
+ * const sequencer = new Sequencer(psu)
+ * sequencer.addEventListener('progress', (event) => console.log(event.detail))
+ * await sequencer.run(EXAMPLE_PROGRAM)
+ */
+export class Sequencer extends EventTarget {
+  state = 'idle'  // idle, running, paused or stopped
+  tick = 100  // ms between progress updates
+
+  /**
+   * @param {Object} psu - A connected DP100 instance.
+   */
+  constructor (psu) {
+    super()
+    this.psu = psu
+    this.actions = []
+    this.index = 0
+    this.elapsed = 0
+  }
+
+  /** The sequence's progress, including the current step and elapsed and total duration in seconds. */
+  get progress () {
+    return {
+      state: this.state,
+      name: this.program?.name,
+      index: this.index,
+      count: this.actions.length,
+      label: this.actions[this.index]?.label,
+      elapsed: this.elapsed,
+      duration: this.duration,
+    }
+  }
+
+  /**
+   * Run a program to its end, unless it is stopped.
+   *
+   * @param {Object} program - The program to run, see {@link validateProgram}.
+   * @returns {Promise<void>} - Resolves when the program ends or is stopped.
+   */
+  async run (program) {
+    if (this.state === 'running' || this.state === 'paused') {
+      throw new Error('A sequence is already running')
+    }
+    validateProgram(program)
+    this.program = program
+    this.actions = compileProgram(program, this.psu.settings)
+    this.duration = this.actions.reduce((sum, action) => sum + action.hold, 0)
+    this.elapsed = 0
+    this.setState('running')
+    try {
+      for (this.index = 0; this.index < this.actions.length; this.index++) {
+        const { output, hold } = this.actions[this.index]
+        await this.waitWhilePaused()
+        await this.psu.setBasicOutput(output)
+        this.dispatch('progress')
+        await this.hold(hold * 1000)
+      }
+      this.setState('idle')
+    } catch (error) {
+      if (this.state === 'stopped') {
+        this.setState('idle')
+        return
+      }
+      this.setState('idle')
+      this.dispatchEvent(new CustomEvent('error', { detail: error }))
+      throw error
+    }
+  }
+
+  /** Pause the running sequence, the output keeps its current values. */
+  pause () {
+    if (this.state === 'running') {
+      this.setState('paused')
+    }
+  }
+
+  /** Resume a paused sequence. */
+  resume () {
+    if (this.state === 'paused') {
+      this.setState('running')
+    }
+  }
+
+  /** Stop the sequence, the output keeps its current values. */
+  stop () {
+    if (this.state === 'running' || this.state === 'paused') {
+      this.setState('stopped')
+    }
+  }
+
+  /**
+   * Wait for the given time, excluding pauses.
+   *
+   * @param {Number} ms - The time to wait in milliseconds.
+   */
+  async hold (ms) {
+    let remaining = ms
+    while (remaining > 0) {
+      await this.waitWhilePaused()
+      const start = performance.now()
+      await new Promise(resolve => setTimeout(resolve, Math.min(remaining, this.tick)))
+      const passed = Math.min(remaining, performance.now() - start)
+      remaining -= passed
+      this.elapsed += passed / 1000
+      this.dispatch('progress')
+    }
+  }
+
+  async waitWhilePaused () {
+    while (this.state === 'paused') {
+      await new Promise(resolve => this.addEventListener('statechange', resolve, { once: true }))
+    }
+    if (this.state === 'stopped') {
+      throw new Error('Sequence stopped')
+    }
+  }
+
+  setState (state) {
+    this.state = state
+    this.dispatch('statechange')
+  }
+
+  dispatch (type) {
+    this.dispatchEvent(new CustomEvent(type, { detail: this.progress }))
+  }
+}
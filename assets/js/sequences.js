@@ -0,0 +1,104 @@
+import { LitElement, html } from 'lit'
+import { download } from './export.js'
+import { panelStyles } from './panel.js'
+import { EXAMPLE_PROGRAM, validateProgram } from './sequencer.js'
+
+const storageKey = 'dp100.sequence'
+
+/** Panel to edit, load, save and run output sequences. */
+export class SequencesElement extends LitElement {
+  static properties = {
+    sequencer: { type: Object, attribute: false },
+    progress: { type: Object, attribute: false },
+    source: { type: String, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  constructor () {
+    super()
+    this.source = localStorage.getItem(storageKey) || JSON.stringify(EXAMPLE_PROGRAM, null, 2)
+  }
+
+  render () {
+    const state = this.progress?.state ?? 'idle'
+    const busy = state === 'running' || state === 'paused'
+    return html`
+      <p>
+        Steps are <code>set</code> (V/I/state, then hold for N seconds), <code>ramp</code> (linear ramp of
+        <code>vo_set</code> or <code>io_set</code>) and <code>loop</code> (repeat nested steps).
+      </p>
+      <textarea rows="16" cols="60" spellcheck="false" .value=${this.source} ?disabled=${busy}
+                @input=${(event) => { this.source = event.target.value }}></textarea>
+      <div class="actions">
+        ${busy ? html`
+          ${state === 'paused'
+            ? html`<button @click=${() => this.sequencer.resume()}>Resume</button>`
+            : html`<button @click=${() => this.sequencer.pause()}>Pause</button>`}
+          <button @click=${() => this.sequencer.stop()}>Stop</button>
+        ` : html`
+          <button ?disabled=${!this.sequencer.psu.device} @click=${this.start.bind(this)}>Start</button>
+        `}
+        <button ?disabled=${busy} @click=${this.save.bind(this)}>Save JSON</button>
+        <label>
+          Load JSON
+          <input type="file" accept=".json,application/json" ?disabled=${busy} @change=${this.load.bind(this)}>
+        </label>
+      </div>
+      ${busy ? html`
+        <p>
+          ${this.progress.label} (${this.progress.index + 1}/${this.progress.count})
+          <progress value=${this.progress.elapsed} max=${this.progress.duration}></progress>
+        </p>
+      ` : ''}
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+    `
+  }
+
+  /**
+   * Parse and validate the edited program.
+   *
+   * @returns {Object} - The program.
+   */
+  parse () {
+    const program = JSON.parse(this.source)
+    validateProgram(program)
+    localStorage.setItem(storageKey, this.source)
+    return program
+  }
+
+  async start () {
+    this.error = null
+    try {
+      await this.sequencer.run(this.parse())
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+
+  save () {
+    this.error = null
+    try {
+      const program = this.parse()
+      download(`${program.name || 'sequence'}.json`, JSON.stringify(program, null, 2), 'application/json')
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+
+  async load (event) {
+    const [file] = event.target.files
+    if (!file) {
+      return
+    }
+    this.error = null
+    this.source = await file.text()
+    try {
+      this.parse()
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+}
+
+customElements.define('dp100-sequences', SequencesElement)
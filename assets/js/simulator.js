@@ -0,0 +1,458 @@
+import { crc16, encodeReport, FUNCTIONS, MAGIC_BYTES, OUTPUT_MODES, PROTECTIONS, SYSTEM_LIMITS } from './dp100.js'
+import { vendorId, productId } from './transport.js'
+
+const reportSize = 64  // HID reports are always padded to 64 bytes
+let simulatedUnits = 0  // numbers the simulated units, so each has its own serial number
+
+/**
+ * Decode a request frame sent by the host.
+ *
+ * The host omits the sequence byte for requests without a sequence number,
+ * which is why both header lengths are tried against the checksum.
+ *
+ * @param {Uint8Array} report - The raw request.
+ * @returns {{functionId: Number, sequence: Number|null, content: DataView}|null} - The request or null if invalid.
+ */
+export function decodeRequest (report) {
+  const view = new DataView(report.buffer, report.byteOffset, report.byteLength)
+  for (const headerLength of [4, 3]) {
+    if (report.length < headerLength + 2) {
+      continue
+    }
+    const contentLength = view.getUint8(headerLength - 1)
+    const end = headerLength + contentLength
+    if (end + 2 > report.length) {
+      continue
+    }
+    if (crc16(report.slice(0, end)) === view.getUint16(end, true)) {
+      return {
+        functionId: view.getUint8(1),
+        sequence: headerLength === 4 ? view.getUint8(2) : null,
+        content: new DataView(report.buffer, report.byteOffset + headerLength, contentLength),
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Virtual DP100 power supply.
+ *
+ * Speaks the same framed protocol as the physical device and implements the parts of the
+ * `HIDDevice` interface the driver relies on. The output is modeled as a CV/CC source
+ * driving a purely resistive load or a battery.
+ *
+ * @example
+ *
+ * const device = new VirtualDP100({ load: 10 })
+ * await device.open()
+ * device.addEventListener('inputreport', (event) => console.log(event.data))
+ */
+export class VirtualDP100 extends EventTarget {
+  vendorId = vendorId
+  productId = productId
+  productName = 'DP100 (simulated)'
+  opened = false
+  plugged = true
+
+  /**
+   * @param {Object} options
+   * @param {Number} options.load - Load resistance in Ω.
+   * @param {Object} options.battery - Replace the resistive load with a battery.
+   * @param {Number} options.battery.capacity - Capacity in Ah.
+   * @param {Number} options.battery.empty - Open-circuit voltage when empty in V.
+   * @param {Number} options.battery.full - Open-circuit voltage when full in V.
+   * @param {Number} options.battery.resistance - Internal resistance in Ω.
+   * @param {Number} options.battery.soc - Initial state of charge between 0 and 1.
+   * @param {Number} options.vIn - Input voltage in V.
+   * @param {Number} options.latency - Response delay in ms.
+   * @param {Number} options.noise - Measurement noise amplitude in V or A.
+   */
+  constructor ({ load = 10, battery = null, vIn = 20, latency = 2, noise = 0.002 } = {}) {
+    super()
+    this.load = load
+    this.battery = battery && { capacity: 2, empty: 3.0, full: 4.25, resistance: 0.15, soc: 0.2, ...battery }
+    this.lastUpdate = Date.now()
+    this.vIn = vIn
+    this.latency = latency
+    this.noise = noise
+    this.settings = { state: 0, vo_set: 5, io_set: 1, ovp_set: 30.5, ocp_set: 5.05 }
+    this.system = { otp: 80, opp: 105, backlight: 3, volume: 2, reverse_protection: 1, audio_out: 0 }
+    this.deviceInfo = {
+      deviceName: 'DP100',
+      hardwareVersion: 1.0,
+      firmwareVersion: 1.3,
+      bootVersion: 1,
+      runVersion: 1,
+      serialNumber: Array.from(String(++simulatedUnits).padStart(11, '0').slice(-11), Number),
+      year: 2024,
+      month: 1,
+      day: 1,
+    }
+    this.protection = PROTECTIONS.NONE  // the tripped protection, OVP, OCP or OPP
+    this.presets = [3.3, 5, 9, 12, 15, 19, 1.8, 2.5, 24, 30].map(vo_set => ({
+      vo_set, io_set: 1, ovp_set: 30.5, ocp_set: 5.05
+    }))
+    this.maxFirmwareSize = 64 * 1024
+    this.transfer = null
+    this.pendingFirmware = null
+    this.firmware = null
+  }
+
+  async open () {
+    if (!this.plugged) {
+      throw new DOMException('The device is not plugged in.', 'NotFoundError')
+    }
+    this.opened = true
+  }
+
+  async close () {
+    this.opened = false
+  }
+
+  /** Simulate the device being unplugged. */
+  unplug () {
+    this.opened = false
+    this.plugged = false
+    this.dispatchEvent(Object.assign(new Event('disconnect'), { device: this }))
+  }
+
+  /** Simulate the device being plugged back in. */
+  replug () {
+    this.plugged = true
+    this.dispatchEvent(Object.assign(new Event('connect'), { device: this }))
+  }
+
+  /**
+   * Receive a report from the host.
+   *
+   * @param {Number} reportId - The HID report ID, always 0 for the DP100.
+   * @param {Uint8Array} data - The request frame.
+   */
+  async sendReport (reportId, data) {
+    if (!this.opened) {
+      throw new DOMException('The device must be opened first.', 'InvalidStateError')
+    }
+    const request = decodeRequest(new Uint8Array(data))
+    if (!request) {
+      console.warn('VirtualDP100: dropping invalid request', data)
+      return
+    }
+    const content = this.handleRequest(request)
+    if (content) {
+      setTimeout(() => this.reply(request.functionId, content, request.sequence ?? 0), this.latency)
+    }
+  }
+
+  /**
+   * Send a reply frame to the host.
+   *
+   * @param {Number} functionId - The function the reply belongs to.
+   * @param {Uint8Array} content - The reply's payload.
+   * @param {Number} sequence - The sequence number to echo.
+   */
+  reply (functionId, content, sequence = 0) {
+    if (!this.opened) {
+      return
+    }
+    const report = new Uint8Array(reportSize)
+    report.set(encodeReport(functionId, content, sequence))
+    this.dispatchEvent(Object.assign(new Event('inputreport'), {
+      device: this, reportId: 0, data: new DataView(report.buffer)
+    }))
+  }
+
+  /**
+   * Handle a decoded request.
+   *
+   * @param {Object} request
+   * @param {Number} request.functionId - The requested function.
+   * @param {Number|null} request.sequence - The request's sequence number.
+   * @param {DataView} request.content - The request's payload.
+   * @returns {Uint8Array|null} - The reply's payload, if the function replies.
+   */
+  handleRequest ({ functionId, sequence, content }) {
+    switch (functionId) {
+      case FUNCTIONS.BASIC_INFO:
+        return this.basicInfo()
+      case FUNCTIONS.BASIC_SET:
+        return this.basicSet(content)
+      case FUNCTIONS.SYSTEM_INFO:
+        return this.systemInfo()
+      case FUNCTIONS.SYSTEM_SET:
+        return this.systemSet(content)
+      case FUNCTIONS.DEVICE_INFO:
+        return this.deviceInfoReport()
+      case FUNCTIONS.FIRM_INFO:
+        return this.firmwareInfo()
+      case FUNCTIONS.START_TRANS:
+        return this.startTransfer(content)
+      case FUNCTIONS.DATA_TRANS:
+        return this.dataTransfer(content, sequence)
+      case FUNCTIONS.END_TRANS:
+        return this.endTransfer(content)
+      case FUNCTIONS.DEV_UPGRADE:
+        return this.upgrade()
+      default:
+        console.warn('VirtualDP100: unhandled function', functionId)
+        return null
+    }
+  }
+
+  /**
+   * Compute the output's operating point.
+   *
+   * @returns {{vOut: Number, iOut: Number, outMode: Number, workSt: Number}}
+   */
+  operatingPoint () {
+    const { state, vo_set, io_set, ovp_set, ocp_set } = this.settings
+    if (!state || this.protection) {
+      return {
+        vOut: 0,
+        iOut: 0,
+        outMode: this.protection ? OUTPUT_MODES.PROTECTED : OUTPUT_MODES.CV,
+        workSt: this.protection,
+      }
+    }
+    let vOut = Math.min(vo_set, this.voMax)
+    const ocv = this.battery ? this.battery.empty + (this.battery.full - this.battery.empty) * this.battery.soc : 0
+    const resistance = this.battery ? this.battery.resistance : this.load
+    let iOut = Math.max(0, (vOut - ocv) / resistance)
+    let outMode = OUTPUT_MODES.CV
+    if (iOut > io_set) {
+      iOut = io_set
+      vOut = ocv + io_set * resistance
+      outMode = OUTPUT_MODES.CC
+    }
+    if (vOut > ovp_set) {
+      this.protection = PROTECTIONS.OVP
+    } else if (iOut > ocp_set) {
+      this.protection = PROTECTIONS.OCP
+    } else if (vOut * iOut > this.system.opp) {
+      this.protection = PROTECTIONS.OPP
+    }
+    if (this.protection) {
+      return this.operatingPoint()
+    }
+    return { vOut, iOut, outMode, workSt: PROTECTIONS.NONE }
+  }
+
+  get voMax () {
+    return Math.max(0, this.vIn - 0.5)
+  }
+
+  jitter (value) {
+    return value ? Math.max(0, value + (Math.random() - 0.5) * 2 * this.noise) : 0
+  }
+
+  basicInfo () {
+    const { vOut, iOut, outMode, workSt } = this.operatingPoint()
+    const now = Date.now()
+    if (this.battery) {
+      const soc = this.battery.soc + iOut * (now - this.lastUpdate) / 1000 / 3600 / this.battery.capacity
+      this.battery.soc = Math.min(1, soc)
+    }
+    this.lastUpdate = now
+    const content = new Uint8Array(16)
+    const view = new DataView(content.buffer)
+    view.setUint16(0, Math.round(this.vIn * 1000), true)
+    view.setUint16(2, Math.round(this.jitter(vOut) * 1000), true)
+    view.setUint16(4, Math.round(this.jitter(iOut) * 1000), true)
+    view.setUint16(6, Math.round(this.voMax * 1000), true)
+    view.setUint16(8, Math.round((25 + vOut * iOut * 0.5) * 10), true)
+    view.setUint16(10, Math.round((25 + vOut * iOut * 0.3) * 10), true)
+    view.setUint16(12, 5 * 1000, true)
+    view.setUint8(14, outMode)
+    view.setUint8(15, workSt)
+    return content
+  }
+
+  basicSet (content) {
+    const operation = content.getUint8(0)
+    const group = operation & 0x0F
+    if (operation & MAGIC_BYTES.READ) {
+      const settings = group ? this.presets[group - 1] : this.settings
+      if (!settings) {
+        return new Uint8Array([0])
+      }
+      const reply = new Uint8Array(10)
+      const view = new DataView(reply.buffer)
+      view.setUint8(0, group)
+      view.setUint8(1, group ? 0 : settings.state)
+      view.setUint16(2, Math.round(settings.vo_set * 1000), true)
+      view.setUint16(4, Math.round(settings.io_set * 1000), true)
+      view.setUint16(6, Math.round(settings.ovp_set * 1000), true)
+      view.setUint16(8, Math.round(settings.ocp_set * 1000), true)
+      return reply
+    }
+    if (group) {
+      if (!(operation & MAGIC_BYTES.SETTING) || group > this.presets.length) {
+        return new Uint8Array([0])
+      }
+      this.presets[group - 1] = {
+        vo_set: content.getUint16(2, true) / 1000,
+        io_set: content.getUint16(4, true) / 1000,
+        ovp_set: content.getUint16(6, true) / 1000,
+        ocp_set: content.getUint16(8, true) / 1000,
+      }
+      return new Uint8Array([1])
+    }
+    if (operation & MAGIC_BYTES.OUTPUT) {
+      const state = content.getUint8(1)
+      if (!state || !this.settings.state) {
+        this.protection = PROTECTIONS.NONE
+      }
+      this.settings = {
+        ...this.settings,
+        state,
+        vo_set: content.getUint16(2, true) / 1000,
+        io_set: content.getUint16(4, true) / 1000,
+      }
+      return new Uint8Array([1])
+    }
+    if (operation & MAGIC_BYTES.SETTING) {
+      this.settings = {
+        ...this.settings,
+        ovp_set: content.getUint16(6, true) / 1000,
+        ocp_set: content.getUint16(8, true) / 1000,
+      }
+      return new Uint8Array([1])
+    }
+    return new Uint8Array([0])
+  }
+
+  systemInfo () {
+    const content = new Uint8Array(8)
+    const view = new DataView(content.buffer)
+    view.setUint16(0, this.system.otp, true)
+    view.setUint16(2, Math.round(this.system.opp * 10), true)
+    view.setUint8(4, this.system.backlight)
+    view.setUint8(5, this.system.volume)
+    view.setUint8(6, this.system.reverse_protection)
+    view.setUint8(7, this.system.audio_out)
+    return content
+  }
+
+  systemSet (content) {
+    const system = {
+      otp: content.getUint16(0, true),
+      opp: content.getUint16(2, true) / 10,
+      backlight: content.getUint8(4),
+      volume: content.getUint8(5),
+      reverse_protection: content.getUint8(6),
+      audio_out: content.getUint8(7),
+    }
+    for (const [key, { min, max }] of Object.entries(SYSTEM_LIMITS)) {
+      if (!(system[key] >= min && system[key] <= max)) {
+        return new Uint8Array([0])
+      }
+    }
+    this.system = system
+    return new Uint8Array([1])
+  }
+
+  deviceInfoReport () {
+    const info = this.deviceInfo
+    const content = new Uint8Array(40)
+    const view = new DataView(content.buffer)
+    content.set([...info.deviceName.slice(0, 15)].map(char => char.charCodeAt(0)))
+    view.setUint16(16, Math.round(info.hardwareVersion * 10), true)
+    view.setUint16(18, Math.round(info.firmwareVersion * 10), true)
+    view.setUint16(20, info.bootVersion, true)
+    view.setUint16(22, info.runVersion, true)
+    content.set(info.serialNumber.slice(0, 11), 24)
+    view.setUint16(36, info.year, true)
+    view.setUint8(38, info.month)
+    view.setUint8(39, info.day)
+    return content
+  }
+
+  firmwareInfo () {
+    const content = new Uint8Array(8)
+    const view = new DataView(content.buffer)
+    view.setUint16(0, Math.round(this.deviceInfo.hardwareVersion * 10), true)
+    view.setUint16(2, this.deviceInfo.bootVersion, true)
+    view.setUint32(4, this.maxFirmwareSize, true)
+    return content
+  }
+
+  startTransfer (content) {
+    const size = content.getUint32(0, true)
+    if (size > this.maxFirmwareSize) {
+      return new Uint8Array([0])
+    }
+    this.transfer = { size, crc: content.getUint16(4, true), data: new Uint8Array(size), received: 0, sequence: 0 }
+    return new Uint8Array([1])
+  }
+
+  dataTransfer (content, sequence) {
+    const transfer = this.transfer
+    if (!transfer) {
+      return new Uint8Array([0])
+    }
+    if (sequence === ((transfer.sequence - 1) & 0xFF) && transfer.received) {
+      return new Uint8Array([1])  // retransmission of an acknowledged chunk
+    }
+    if (sequence !== transfer.sequence || transfer.received + content.byteLength > transfer.size) {
+      return new Uint8Array([0])
+    }
+    transfer.data.set(new Uint8Array(content.buffer, content.byteOffset, content.byteLength), transfer.received)
+    transfer.received += content.byteLength
+    transfer.sequence = (transfer.sequence + 1) & 0xFF
+    return new Uint8Array([1])
+  }
+
+  endTransfer (content) {
+    const transfer = this.transfer
+    this.transfer = null
+    if (!content.getUint8(0)) {
+      return new Uint8Array([1])  // canceled
+    }
+    if (!transfer || transfer.received !== transfer.size || crc16(transfer.data) !== transfer.crc) {
+      return new Uint8Array([0])
+    }
+    this.pendingFirmware = transfer.data
+    return new Uint8Array([1])
+  }
+
+  upgrade () {
+    if (!this.pendingFirmware) {
+      return new Uint8Array([0])
+    }
+    this.firmware = this.pendingFirmware
+    this.pendingFirmware = null
+    this.deviceInfo = { ...this.deviceInfo, runVersion: this.deviceInfo.runVersion + 1 }
+    return new Uint8Array([1])
+  }
+}
+
+/**
+ * Transport providing a {@link VirtualDP100} instead of physical hardware.
+ *
+ * Like WebHID, it remembers the devices it provided and relays their
+ * `connect` and `disconnect` events.
+ */
+export class SimulatedTransport extends EventTarget {
+  devices = []
+
+  /**
+   * @param {Object} options - Options passed to the {@link VirtualDP100}.
+   */
+  constructor (options = {}) {
+    super()
+    this.options = options
+  }
+
+  async requestDevice () {
+    const device = new VirtualDP100(this.options)
+    for (const type of ['connect', 'disconnect']) {
+      device.addEventListener(type, () => this.dispatchEvent(Object.assign(new Event(type), { device })))
+    }
+    this.devices.push(device)
+    return device
+  }
+
+  async getDevices () {
+    return this.devices.filter(device => device.plugged)
+  }
+}
@@ -0,0 +1,83 @@
+import { LitElement, html } from 'lit'
+import { download } from './export.js'
+import { formatDuration } from './recordings.js'
+import { panelStyles } from './panel.js'
+
+/**
+ * Rows of the statistics table, with a formatter for each and whether they are integrated over time,
+ * which thinned out samples distort.
+ */
+const ROWS = Object.freeze([
+  ['Samples', ({ samples, gaps }) => `${samples}${gaps ? ` (${gaps} gaps skipped)` : ''}`, false],
+  ['Duration', ({ duration }) => formatDuration(duration), true],
+  ['Output on', ({ onTime }) => onTime === null ? '–' : formatDuration(onTime), true],
+  ['Charge', ({ mAh }) => `${mAh.toFixed(3)} mAh`, true],
+  ['Energy', ({ Wh }) => `${Wh.toFixed(4)} Wh`, true],
+  ...[['v', 'V'], ['i', 'A'], ['p', 'W']].flatMap(([key, unit]) => ['min', 'avg', 'max', 'rms'].map(stat => [
+    `${{ v: 'Voltage', i: 'Current', p: 'Power' }[key]} ${stat}`,
+    (statistics) => statistics[key] ? `${statistics[key][stat].toFixed(3)} ${unit}` : '–',
+    stat === 'avg' || stat === 'rms',
+  ])),
+])
+
+/**
+ * Panel comparing the session's statistics with those of the range selected on the graph,
+ * and with those of an overlaid recording.
+ */
+export class StatisticsElement extends LitElement {
+  static properties = {
+    session: { type: Object, attribute: false },
+    selection: { type: Object, attribute: false },
+    overlay: { type: Object, attribute: false },
+    recording: { type: Object, attribute: false },
+  }
+  static styles = panelStyles
+
+  render () {
+    const thinned = this.selection?.thinned
+    const columns = [
+      ['Session', this.session],
+      ['Selection', this.selection?.statistics, thinned],
+      [this.overlay && `Overlay “${this.overlay.name}”`, this.overlay?.statistics],
+      ['Overlay selection', this.selection?.overlay],
+    ].filter(([label, statistics], index) => index === 0 || statistics)
+    return html`
+      <p>
+        Drag across the graph or scroll to zoom into a range, double-click to show all.
+      </p>
+      ${thinned ? html`
+        <p class="error">
+          The selection reaches older samples, which the graph thins out, so its time-integrated figures are left out.
+          ${this.recording ? 'Open the stored session for exact figures.' : 'Record a session for exact figures.'}
+        </p>
+      ` : ''}
+      <table>
+        <tr>
+          <th></th>
+          ${columns.map(([label]) => html`<th>${label}</th>`)}
+        </tr>
+        ${ROWS.map(([label, format, integrated]) => html`
+          <tr>
+            <th>${label}</th>
+            ${columns.map(([, statistics, thinned]) => html`
+              <td>${statistics && !(thinned && integrated) ? format(statistics) : '–'}</td>
+            `)}
+          </tr>
+        `)}
+      </table>
+      <p>
+        <button @click=${this.save.bind(this)} ?disabled=${!this.session}>Save JSON</button>
+      </p>
+    `
+  }
+
+  save () {
+    download('statistics.json', JSON.stringify({
+      session: this.session,
+      selection: this.selection ?? null,
+      overlay: this.overlay ? { name: this.overlay.name, statistics: this.overlay.statistics } : null,
+    }, null, 2), 'application/json')
+  }
+}
+
+customElements.define('dp100-statistics', StatisticsElement)
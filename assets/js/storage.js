@@ -0,0 +1,167 @@
+import { COLUMNS } from './export.js'
+
+const dbName = 'dp100', dbVersion = 1
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<*>} - The request's result.
+ */
+function promisify (request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Persistent storage for recording sessions, backed by IndexedDB.
+ *
+ * Sessions hold their metadata, while the samples are appended in column-wise chunks,
+ * so that hours-long recordings never need to be written at once.
+ *
+ * @example
+ *
+ * const store = new RecordingStore()
+ * const session = await store.createSession({ name: 'Burn-in', metadata })
+ * await store.appendChunk(session.id, { t: [...], v: [...] })
+ * const { samples } = await store.loadSession(session.id)
+ */
+export class RecordingStore {
+
+  /**
+   * @param {String} name - The IndexedDB database name.
+   */
+  constructor (name = dbName) {
+    this.name = name
+  }
+
+  /**
+   * Open the database, creating its object stores if needed.
+   *
+   * @returns {Promise<IDBDatabase>} - The database.
+   */
+  async open () {
+    if (!this.db) {
+      const request = indexedDB.open(this.name, dbVersion)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true })
+        request.result.createObjectStore('chunks', { keyPath: ['session', 'index'] })
+      }
+      this.db = await promisify(request)
+    }
+    return this.db
+  }
+
+  /**
+   * Run a callback in a transaction and wait for it to complete.
+   *
+   * @param {String[]} storeNames - The object stores to use.
+   * @param {IDBTransactionMode} mode - Either `readonly` or `readwrite`.
+   * @param {function(IDBTransaction): Promise<*>} callback - The work to do.
+   * @returns {Promise<*>} - The callback's result.
+   */
+  async transaction (storeNames, mode, callback) {
+    const db = await this.open()
+    const transaction = db.transaction(storeNames, mode)
+    const complete = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+    let result
+    try {
+      result = await callback(transaction)
+    } catch (error) {
+      complete.catch(() => {})
+      throw error
+    }
+    await complete
+    return result
+  }
+
+  /**
+   * Create a new recording session.
+   *
+   * @param {Object} session
+   * @param {String} session.name - A human-readable name.
+   * @param {Object} session.metadata - Information about the device, see `metadata` of the DP100Element.
+   * @returns {Promise<Object>} - The session including its `id`.
+   */
+  async createSession ({ name, metadata = {} }) {
+    const session = { name, metadata, started: Date.now() / 1000, ended: null, count: 0, chunks: 0 }
+    session.id = await this.transaction(['sessions'], 'readwrite', transaction => {
+      return promisify(transaction.objectStore('sessions').add(session))
+    })
+    return session
+  }
+
+  /**
+   * Append samples to a session.
+   *
+   * @param {Number} id - The session's ID.
+   * @param {Object<string, Number[]>} samples - The samples by column, see `COLUMNS` in export.js.
+   * @returns {Promise<Object>} - The updated session.
+   */
+  async appendChunk (id, samples) {
+    return await this.transaction(['sessions', 'chunks'], 'readwrite', async transaction => {
+      const sessions = transaction.objectStore('sessions')
+      const session = await promisify(sessions.get(id))
+      await promisify(transaction.objectStore('chunks').add({ session: id, index: session.chunks, samples }))
+      session.chunks += 1
+      session.count += samples.t.length
+      session.ended = samples.t[samples.t.length - 1] ?? session.ended
+      await promisify(sessions.put(session))
+      return session
+    })
+  }
+
+  /**
+   * List all sessions, newest first.
+   *
+   * @returns {Promise<Object[]>} - The sessions without their samples.
+   */
+  async listSessions () {
+    const sessions = await this.transaction(['sessions'], 'readonly', transaction => {
+      return promisify(transaction.objectStore('sessions').getAll())
+    })
+    return sessions.sort((a, b) => b.started - a.started)
+  }
+
+  /**
+   * Load a session including all of its samples.
+   *
+   * @param {Number} id - The session's ID.
+   * @returns {Promise<Object>} - The session with its `samples` by column.
+   */
+  async loadSession (id) {
+    return await this.transaction(['sessions', 'chunks'], 'readonly', async transaction => {
+      const session = await promisify(transaction.objectStore('sessions').get(id))
+      if (!session) {
+        throw new Error(`Session ${id} does not exist`)
+      }
+      const chunks = await promisify(transaction.objectStore('chunks').getAll(chunkRange(id)))
+      // a session stopped before its first chunk was written still has its (empty) columns
+      const keys = Object.keys(chunks[0]?.samples ?? COLUMNS)
+      const samples = Object.fromEntries(keys.map(key => [key, [].concat(...chunks.map(chunk => chunk.samples[key]))]))
+      return { ...session, samples }
+    })
+  }
+
+  /**
+   * Delete a session and all of its samples.
+   *
+   * @param {Number} id - The session's ID.
+   */
+  async deleteSession (id) {
+    await this.transaction(['sessions', 'chunks'], 'readwrite', async transaction => {
+      await promisify(transaction.objectStore('chunks').delete(chunkRange(id)))
+      await promisify(transaction.objectStore('sessions').delete(id))
+    })
+  }
+}
+
+function chunkRange (id) {
+  return IDBKeyRange.bound([id, 0], [id, Infinity])
+}
@@ -0,0 +1,65 @@
+import { LitElement, html } from 'lit'
+import { SYSTEM_LIMITS } from './dp100.js'
+import { panelStyles } from './panel.js'
+
+/** Panel to view and edit the DP100's system settings. */
+export class SystemSettingsElement extends LitElement {
+  static properties = {
+    psu: { type: Object, attribute: false },
+    system: { type: Object, attribute: false },
+    error: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  render () {
+    if (!this.system) {
+      return html`<p>Connect a device to edit its system settings.</p>`
+    }
+    return html`
+      <form @submit=${this.submit.bind(this)}>
+        <label for="backlight">Backlight</label>
+        <input type="range" id="backlight" name="backlight" .value=${this.system.backlight}
+               min=${SYSTEM_LIMITS.backlight.min} max=${SYSTEM_LIMITS.backlight.max} step="1">
+        <label for="volume">Volume</label>
+        <input type="range" id="volume" name="volume" .value=${this.system.volume}
+               min=${SYSTEM_LIMITS.volume.min} max=${SYSTEM_LIMITS.volume.max} step="1">
+        <label for="opp">OPP (W)</label>
+        <input type="number" id="opp" name="opp" .value=${this.system.opp}
+               min=${SYSTEM_LIMITS.opp.min} max=${SYSTEM_LIMITS.opp.max} step="0.1" required>
+        <label for="otp">OTP (°C)</label>
+        <input type="number" id="otp" name="otp" .value=${this.system.otp}
+               min=${SYSTEM_LIMITS.otp.min} max=${SYSTEM_LIMITS.otp.max} step="1" required>
+        <label for="reverse_protection">Reverse protection</label>
+        <input type="checkbox" id="reverse_protection" name="reverse_protection"
+               .checked=${Boolean(this.system.reverse_protection)}>
+        <label for="audio_out">Audio output</label>
+        <input type="checkbox" id="audio_out" name="audio_out" .checked=${Boolean(this.system.audio_out)}>
+        <div class="actions">
+          <button type="submit">Save</button>
+          <button type="reset">Revert</button>
+        </div>
+      </form>
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+    `
+  }
+
+  async submit (event) {
+    event.preventDefault()
+    const form = event.target
+    this.error = null
+    try {
+      await this.psu.setSystemSettings({
+        backlight: form.backlight.valueAsNumber,
+        volume: form.volume.valueAsNumber,
+        opp: form.opp.valueAsNumber,
+        otp: form.otp.valueAsNumber,
+        reverse_protection: form.reverse_protection.checked ? 1 : 0,
+        audio_out: form.audio_out.checked ? 1 : 0,
+      })
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+}
+
+customElements.define('dp100-system-settings', SystemSettingsElement)
@@ -0,0 +1,226 @@
+import { outputState } from './dp100.js'
+
+/** The kinds of timer jobs, by key, with their label. */
+export const TIMER_MODES = Object.freeze({
+  timed: 'Timed output',
+  schedule: 'Scheduled on/off',
+  cycle: 'Power cycling',
+})
+
+const minPeriod = 0.1  // s, the shortest on or off period, switching takes a round trip to the DP100
+
+/**
+ * Format a duration as a countdown.
+ *
+ * @param {Number} seconds - The duration in s.
+ * @returns {String} - E.g. `1:02:03.4`.
+ */
+export function formatCountdown (seconds) {
+  const tenths = Math.ceil(seconds * 10)
+  const h = Math.floor(tenths / 36000)
+  const m = Math.floor(tenths / 600) % 60
+  const s = (tenths % 600) / 10
+  return `${h ? `${h}:${String(m).padStart(2, '0')}` : m}:${s.toFixed(1).padStart(4, '0')}`
+}
+
+/**
+ * Resolve a timer job from the user's choices.
+ *
+ * @param {Object} options
+ * @param {String} options.mode - A key of {@link TIMER_MODES}.
+ * @param {Number} options.duration - For `timed`, how long the output stays on in s.
+ * @param {Number|null} options.on - For `schedule`, when to switch the output on in ms since the epoch,
+ *   for `cycle`, how long the output stays on per cycle in s.
+ * @param {Number|null} options.off - Like `on`, for switching the output off.
+ * @param {Number} options.count - For `cycle`, the number of on/off cycles.
+ * @returns {Object} - The job, with only the options of its mode.
+ * @throws {RangeError} - If the job can't be run.
+ */
+export function timerJob ({ mode = 'timed', duration, on = null, off = null, count }) {
+  const positive = (value, name) => {
+    if (!(value >= minPeriod)) {
+      throw new RangeError(`${name} must be at least ${minPeriod} s`)
+    }
+  }
+  switch (mode) {
+    case 'timed':
+      positive(duration, 'Duration')
+      return { mode, duration }
+    case 'schedule': {
+      const times = [on, off].filter(time => time !== null && time !== undefined)
+      if (!times.length) {
+        throw new RangeError('Give a time to switch on, off or both')
+      }
+      if (times.some(time => !Number.isFinite(time) || time <= Date.now())) {
+        throw new RangeError('Scheduled times must be in the future')
+      }
+      return { mode, on: on ?? null, off: off ?? null }
+    }
+    case 'cycle':
+      if (!Number.isInteger(count) || count < 1) {
+        throw new RangeError('Cycles must be a positive integer')
+      }
+      positive(on, 'On period')
+      positive(off, 'Off period')
+      return { mode, count, on, off }
+    default:
+      throw new RangeError(`Unknown timer mode ${mode}`)
+  }
+}
+
+/**
+ * Switches the output of a DP100 on a timer, through {@link setBasicOutput}.
+ *
+ * A job either switches the output on for a duration (`timed`), switches it on and/or off at
+ * given clock times (`schedule`), or power-cycles it a number of times (`cycle`). Stopping a
+ * timed output or power cycling switches the output off, stopping a schedule leaves it as is.
+ * The job ends early if the device disconnects, a protection trips or a switch is refused.
+ *
+ * Dispatches `progress` events with the current {@link OutputTimer#status} as their detail
+ * and an `end` event once the job is over.
+ *
+ * @example
+ *
+ * const timer = new OutputTimer(psu)
+ * timer.addEventListener('end', (event) => console.log(event.detail.reason, event.detail.cycle))
+ * await timer.start(timerJob({ mode: 'cycle', count: 1000, on: 2, off: 1 }))
+ */
+export class OutputTimer extends EventTarget {
+  tick = 100  // ms between progress updates
+
+  /**
+   * @param {Object} psu - A connected DP100 instance.
+   */
+  constructor (psu) {
+    super()
+    this.psu = psu
+    this.running = false
+    this.job = null
+    this.next = null  // the next switch, `{ state, at }` with `at` in ms since the epoch
+  }
+
+  /** The job's status, including the time until the next switch and the completed cycles. */
+  get status () {
+    return {
+      running: this.running,
+      job: this.job,
+      next: this.next,
+      remaining: this.next ? Math.max(0, this.next.at - Date.now()) / 1000 : 0,
+      cycle: this.cycle,
+      switches: this.switches,
+      elapsed: this.started ? ((this.running ? Date.now() : this.ended) - this.started) / 1000 : 0,
+      reason: this.reason,
+    }
+  }
+
+  /**
+   * Start a job.
+   *
+   * @param {Object} job - The job, see {@link timerJob}.
+   */
+  async start (job) {
+    if (this.running) {
+      throw new Error('A timer is already running')
+    }
+    this.job = job
+    this.cycle = 0
+    this.switches = 0
+    this.reason = null
+    this.started = this.switched = Date.now()
+    this.running = true
+    this.next = this.plan()
+    await this.check()
+  }
+
+  /**
+   * Stop the job, timed outputs and power cycling switch the output off.
+   *
+   * @param {String} reason - Why the job ended.
+   */
+  async stop (reason = 'stopped') {
+    if (!this.running) {
+      return
+    }
+    clearTimeout(this.timer)
+    this.running = false
+    this.next = null
+    this.reason = reason
+    this.ended = Date.now()
+    console.info('OutputTimer', reason)
+    try {
+      if (this.job.mode !== 'schedule' && reason !== 'complete' && this.psu.device) {
+        await this.psu.setBasicOutput({ state: 0 })
+      }
+    } finally {
+      this.dispatchEvent(new CustomEvent('end', { detail: this.status }))
+    }
+  }
+
+  /**
+   * Plan the switch following the last one.
+   *
+   * @returns {{state: Number, at: Number}|null} - The next switch, null once the job is done.
+   */
+  plan () {
+    const { mode, duration, on, off, count } = this.job
+    switch (mode) {
+      case 'timed':
+        return [
+          { state: 1, at: this.switched },
+          { state: 0, at: this.switched + duration * 1000 },
+        ][this.switches] ?? null
+      case 'schedule':
+        return [{ state: 1, at: on }, { state: 0, at: off }]
+          .filter(({ at }) => at !== null)
+          .sort((a, b) => a.at - b.at)[this.switches] ?? null
+      case 'cycle':
+        if (this.switches >= count * 2) {
+          return null
+        }
+        // periods count from the last switch, so a slow round trip doesn't shorten the next one
+        return this.switches % 2
+          ? { state: 0, at: this.switched + on * 1000 }
+          : { state: 1, at: this.switches ? this.switched + off * 1000 : this.switched }
+    }
+  }
+
+  /** Switch the output once the next switch is due and check the device. */
+  async check () {
+    if (!this.running) {
+      return
+    }
+    if (!this.psu.device) {
+      await this.stop('disconnected')
+      return
+    }
+    // a trip from before the job isn't the job's fault
+    const state = this.switches && this.psu.info ? outputState(this.psu.info) : null
+    if (state?.fault) {
+      await this.stop(`fault (${state.name})`)
+      return
+    }
+    if (Date.now() >= this.next.at) {
+      try {
+        await this.psu.setBasicOutput({ state: this.next.state })
+      } catch (error) {
+        await this.stop(error.message)
+        return
+      }
+      if (!this.running) {
+        return
+      }
+      this.switched = Date.now()
+      this.switches++
+      this.cycle = Math.ceil(this.switches / 2)
+      this.next = this.plan()
+      if (!this.next) {
+        await this.stop('complete')
+        return
+      }
+    }
+    this.dispatchEvent(new CustomEvent('progress', { detail: this.status }))
+    this.timer = setTimeout(() => {
+      this.check().catch(error => console.error(error))
+    }, Math.max(0, Math.min(this.tick, this.next.at - Date.now())))
+  }
+}
@@ -0,0 +1,110 @@
+import { LitElement, html } from 'lit'
+import { panelStyles } from './panel.js'
+import { TIMER_MODES, formatCountdown, timerJob } from './timer.js'
+
+/** Panel to switch the output on a timer, on a schedule or to power-cycle it. */
+export class TimingElement extends LitElement {
+  static properties = {
+    timer: { type: Object, attribute: false },
+    status: { type: Object, attribute: false },
+    mode: { type: String, state: true },
+    error: { type: String, state: true },
+  }
+  static styles = panelStyles
+
+  constructor () {
+    super()
+    this.mode = 'timed'
+  }
+
+  render () {
+    const running = this.status?.running
+    return html`
+      <form @submit=${this.start.bind(this)}>
+        <label for="mode">Mode</label>
+        <select id="mode" name="mode" ?disabled=${running}
+                @change=${(event) => { this.mode = event.target.value }}>
+          ${Object.entries(TIMER_MODES).map(([key, label]) => html`
+            <option value=${key} ?selected=${key === this.mode}>${label}</option>
+          `)}
+        </select>
+        ${this.renderOptions(running)}
+        <div class="actions">
+          ${running
+            ? html`<button type="button" @click=${() => this.timer.stop()}>Stop</button>`
+            : html`<button type="submit" ?disabled=${!this.timer.psu.device}>Start</button>`}
+        </div>
+      </form>
+      ${this.status?.job ? this.renderStatus() : ''}
+      ${this.error ? html`<p class="error">${this.error}</p>` : ''}
+    `
+  }
+
+  renderOptions (running) {
+    switch (this.mode) {
+      case 'timed':
+        return html`
+          <label for="duration">Output on for (s)</label>
+          <input type="number" id="duration" name="duration" value="60" min="0.1" step="0.1"
+                 ?disabled=${running} required>
+        `
+      case 'schedule':
+        return html`
+          <label for="on">Switch on at</label>
+          <input type="datetime-local" id="on" name="on" step="1" ?disabled=${running}>
+          <label for="off">Switch off at</label>
+          <input type="datetime-local" id="off" name="off" step="1" ?disabled=${running}>
+        `
+      case 'cycle':
+        return html`
+          <label for="count">Cycles</label>
+          <input type="number" id="count" name="count" value="100" min="1" step="1" ?disabled=${running} required>
+          <label for="on">On period (s)</label>
+          <input type="number" id="on" name="on" value="2" min="0.1" step="0.1" ?disabled=${running} required>
+          <label for="off">Off period (s)</label>
+          <input type="number" id="off" name="off" value="1" min="0.1" step="0.1" ?disabled=${running} required>
+        `
+    }
+  }
+
+  renderStatus () {
+    const { running, job, next, remaining, cycle, elapsed, reason } = this.status
+    return html`
+      <table>
+        <tr><th>Mode</th><td>${TIMER_MODES[job.mode]} ${reason ?? ''}</td></tr>
+        ${running && next ? html`
+          <tr>
+            <th>Output ${next.state ? 'on' : 'off'} in</th>
+            <td>${formatCountdown(remaining)} (${new Date(next.at).toLocaleTimeString()})</td>
+          </tr>
+        ` : ''}
+        ${job.mode === 'cycle' ? html`
+          <tr><th>Cycle</th><td>${cycle} / ${job.count} <progress value=${cycle} max=${job.count}></progress></td></tr>
+        ` : ''}
+        <tr><th>Elapsed</th><td>${formatCountdown(elapsed)}</td></tr>
+      </table>
+    `
+  }
+
+  async start (event) {
+    event.preventDefault()
+    const form = event.target
+    this.error = null
+    const time = (input) => Number.isNaN(input.valueAsNumber) ? null : new Date(input.value).getTime()
+    try {
+      await this.timer.start(timerJob(this.mode === 'schedule'
+        ? { mode: 'schedule', on: time(form.on), off: time(form.off) }
+        : {
+            mode: this.mode,
+            duration: form.duration?.valueAsNumber,
+            count: form.count?.valueAsNumber,
+            on: form.on?.valueAsNumber,
+            off: form.off?.valueAsNumber,
+          }))
+    } catch (error) {
+      this.error = error.message
+    }
+  }
+}
+
+customElements.define('dp100-timing', TimingElement)
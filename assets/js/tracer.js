@@ -0,0 +1,171 @@
+/** Limits of the swept setting. */
+const LIMITS = Object.freeze({
+  vo_set: Object.freeze({ min: 0, max: 30 }),  // V
+  io_set: Object.freeze({ min: 0, max: 5 }),  // A
+})
+
+/**
+ * Validate a sweep.
+ *
+ * A sweep steps `param` (`vo_set` or `io_set`) from `from` to `to` in `steps` equal steps,
+ * waits `settle` seconds at each step and averages the next `average` readings. The other
+ * setting is held at `limit`, e.g. the current compliance of a voltage sweep.
+ *
+ * @param {Object} sweep - The sweep to validate.
+ * @throws {RangeError} - If the sweep is invalid.
+ */
+export function validateSweep ({ param, from, to, steps, settle, average, limit }) {
+  const range = LIMITS[param]
+  if (!range) {
+    throw new RangeError('Sweep vo_set or io_set')
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (!(value >= range.min && value <= range.max)) {
+      throw new RangeError(`${name} must be between ${range.min} and ${range.max}`)
+    }
+  }
+  const other = LIMITS[param === 'vo_set' ? 'io_set' : 'vo_set']
+  if (!(limit > other.min && limit <= other.max)) {
+    throw new RangeError(`The limit must be between ${other.min} and ${other.max}`)
+  }
+  if (!Number.isInteger(steps) || steps < 1 || steps > 1000) {
+    throw new RangeError('Steps must be an integer between 1 and 1000')
+  }
+  if (!(settle >= 0)) {
+    throw new RangeError('Settle time must not be negative')
+  }
+  if (!Number.isInteger(average) || average < 1) {
+    throw new RangeError('Average must be a positive integer')
+  }
+}
+
+/**
+ * Serialize a curve as CSV.
+ *
+ * @param {Object} curve - The curve, see {@link CurveTracer#run}.
+ * @returns {String} - The CSV document.
+ */
+export function curveToCSV ({ name, time, param, points }) {
+  return [
+    `# name: ${name}`,
+    `# time: ${new Date(time).toISOString()}`,
+    `# swept: ${param}`,
+    `${param === 'vo_set' ? 'voltage_set_V' : 'current_set_A'},voltage_V,current_A`,
+    ...points.map(({ set, v, i }) => `${set},${v},${i}`),
+  ].join('\n') + '\n'
+}
+
+/**
+ * Traces I-V curves by sweeping the output of a DP100.
+ *
+ * Dispatches `point` events with each measured point and `progress` events with the
+ * current {@link CurveTracer#progress} as their detail.
+ *
+ * @example
+ *
+ * const tracer = new CurveTracer(psu)
+ * const curve = await tracer.run({
+ *   name: 'Red LED', param: 'vo_set', from: 1.5, to: 2.2, steps: 35, settle: 0.2, average: 5, limit: 0.02,
+ * })
+ * console.log(curveToCSV(curve))
+ */
+export class CurveTracer extends EventTarget {
+  running = false
+
+  /**
+   * @param {Object} psu - A connected DP100 instance, dispatching `basicinfo` events.
+   */
+  constructor (psu) {
+    super()
+    this.psu = psu
+    this.index = 0
+    this.steps = 0
+  }
+
+  /** The sweep's progress. */
+  get progress () {
+    return { running: this.running, index: this.index, steps: this.steps }
+  }
+
+  /**
+   * Run a sweep, the output is switched on for the sweep and off afterwards.
+   *
+   * @param {Object} sweep - The sweep, see {@link validateSweep}, with an optional `name`.
+   * @returns {Promise<{name: String, time: Number, param: String, points: Object[]}>} - The curve,
+   *   with a point of the setting `set`, the averaged voltage `v` and current `i` per step.
+   */
+  async run (sweep) {
+    if (this.running) {
+      throw new Error('A sweep is already running')
+    }
+    validateSweep(sweep)
+    const { name, param, from, to, steps, settle, average, limit } = sweep
+    const curve = { name: name || `Sweep ${new Date().toLocaleString()}`, time: Date.now(), param, points: [] }
+    this.running = true
+    this.stopped = false
+    this.steps = steps + 1
+    const other = param === 'vo_set' ? 'io_set' : 'vo_set'
+    try {
+      await this.psu.setBasicOutput({ state: 0, [param]: from, [other]: limit })
+      await this.psu.setBasicOutput({ state: 1 })
+      for (this.index = 0; this.index <= steps && !this.stopped; this.index++) {
+        const set = Math.round((from + (to - from) * this.index / steps) * 1000) / 1000
+        await this.psu.setBasicOutput({ [param]: set })
+        this.dispatchEvent(new CustomEvent('progress', { detail: this.progress }))
+        await new Promise(resolve => setTimeout(resolve, settle * 1000))
+        const readings = await this.readings(average)
+        const mean = key => {
+          const sum = readings.reduce((sum, reading) => sum + reading[key], 0)
+          return Math.round(sum / readings.length * 1e4) / 1e4
+        }
+        const point = { set, v: mean('vOut'), i: mean('iOut') }
+        curve.points.push(point)
+        this.dispatchEvent(new CustomEvent('point', { detail: point }))
+      }
+    } catch (error) {
+      await this.finish().catch(offError => console.error('Could not switch the output off', offError))
+      throw error
+    }
+    await this.finish()
+    return curve
+  }
+
+  /** End the sweep and switch the output off. */
+  async finish () {
+    this.running = false
+    this.dispatchEvent(new CustomEvent('progress', { detail: this.progress }))
+    if (this.psu.device) {
+      await this.psu.setBasicOutput({ state: 0 })
+    }
+  }
+
+  /** Stop the sweep after the current step. */
+  stop () {
+    this.stopped = true
+  }
+
+  /**
+   * Wait for the next readings.
+   *
+   * @param {Number} count - The number of readings.
+   * @returns {Promise<Object[]>} - The basic infos.
+   */
+  readings (count) {
+    return new Promise((resolve, reject) => {
+      const readings = []
+      const timeout = setTimeout(() => {
+        this.psu.removeEventListener('basicinfo', receive)
+        reject(new Error('No readings received'))
+      }, 1000 + count * this.psu.refreshRate * 10)
+      const receive = (event) => {
+        readings.push(event.detail)
+        if (readings.length >= count) {
+          clearTimeout(timeout)
+          this.psu.removeEventListener('basicinfo', receive)
+          resolve(readings)
+        }
+      }
+      this.psu.addEventListener('basicinfo', receive)
+    })
+  }
+}
@@ -0,0 +1,182 @@
+export const vendorId = 11836, productId = 44801  // DP100's HID IDs
+
+/**
+ * A transport provides HID devices to the DP100 driver.
+ *
+ * The returned device must implement the subset of the WebHID `HIDDevice` interface the driver uses:
+ * `opened`, `open()`, `close()` and `sendReport(reportId, data)`, as well as dispatching
+ * `inputreport` events with a `data` DataView.
+ *
+ * Transports may dispatch `connect` and `disconnect` events, with the affected `device`,
+ * to let the driver reconnect automatically.
+ *
+ * @typedef {Object} Transport
+ * @property {function(): Promise<HIDDevice|undefined>} requestDevice - Ask for a device to connect to.
+ * @property {function(): Promise<HIDDevice[]>} [getDevices] - Devices the user has granted access to before.
+ */
+
+/**
+ * Whether a HID device is a DP100.
+ *
+ * @param {HIDDevice} device - The device to check.
+ * @returns {boolean}
+ */
+function isDP100 (device) {
+  return device.vendorId === vendorId && device.productId === productId
+}
+
+/** WebHID transport, used to connect to a physical DP100 via the browser. */
+export class WebHIDTransport extends EventTarget {
+
+  constructor () {
+    super()
+    for (const type of ['connect', 'disconnect']) {
+      globalThis.navigator?.hid?.addEventListener(type, (event) => {
+        if (isDP100(event.device)) {
+          this.dispatchEvent(Object.assign(new Event(type), { device: event.device }))
+        }
+      })
+    }
+  }
+
+  /**
+   * Show the browser's device picker for DP100 devices.
+   *
+   * @returns {Promise<HIDDevice|undefined>} - The selected device, if any.
+   */
+  async requestDevice () {
+    const [device] = await navigator.hid.requestDevice({
+      filters: [{ vendorId, productId }]
+    })
+    return device
+  }
+
+  /**
+   * List the DP100 devices the user has granted access to before and that are plugged in.
+   *
+   * @returns {Promise<HIDDevice[]>} - The devices.
+   */
+  async getDevices () {
+    return (await navigator.hid.getDevices()).filter(isDP100)
+  }
+}
+
+/**
+ * Adapter giving a node-hid device the `HIDDevice` interface the driver uses.
+ */
+class NodeHIDDevice extends EventTarget {
+  vendorId = vendorId
+  productId = productId
+  opened = false
+
+  /**
+   * @param {Object} HID - The node-hid module.
+   * @param {Object} info - The device's entry in `HID.devices()`.
+   * @param {NodeHIDTransport} transport - The transport to notify when the device is unplugged.
+   */
+  constructor (HID, info, transport) {
+    super()
+    this.HID = HID
+    this.path = info.path
+    this.productName = info.product
+    this.transport = transport
+  }
+
+  async open () {
+    this.hid = await this.HID.HIDAsync.open(this.path)
+    this.hid.on('data', (data) => {
+      // copied, as node-hid's buffers may be slices of a shared pool
+      this.dispatchEvent(Object.assign(new Event('inputreport'), {
+        reportId: 0,
+        data: new DataView(Uint8Array.from(data).buffer),
+      }))
+    })
+    this.hid.on('error', () => {
+      this.opened = false
+      this.hid = null
+      this.transport.dispatchEvent(Object.assign(new Event('disconnect'), { device: this }))
+    })
+    this.opened = true
+  }
+
+  async close () {
+    this.opened = false
+    const hid = this.hid
+    this.hid = null
+    await hid?.close()
+  }
+
+  /**
+   * @param {Number} reportId - The report ID, prepended to the data as node-hid expects.
+   * @param {Uint8Array} data - The report.
+   */
+  async sendReport (reportId, data) {
+    if (!this.hid) {
+      throw new Error('Device is not open')
+    }
+    await this.hid.write([reportId, ...data])
+  }
+}
+
+/**
+ * Node.js transport, used to connect to a physical DP100 without a browser.
+ *
+ * Requires the optional [node-hid](https://github.com/node-hid/node-hid) package,
+ * e.g. `npm install node-hid`. There is no device picker, the first DP100 is used,
+ * unless a `path` is given.
+ *
+ * Unplugged devices dispatch a `disconnect` event. node-hid does not report plugged
+ * devices, so there are no `connect` events.
+ */
+export class NodeHIDTransport extends EventTarget {
+  devices = new Map()  // path -> NodeHIDDevice, so a device is the same object on every call
+
+  /**
+   * @param {Object} options
+   * @param {String} options.path - The HID path of the DP100 to use, see `dp100 list`.
+   */
+  constructor ({ path } = {}) {
+    super()
+    this.path = path
+  }
+
+  /**
+   * Load node-hid on first use, as it is only needed in Node.js.
+   *
+   * @returns {Promise<Object>} - The node-hid module.
+   */
+  async hid () {
+    try {
+      const module = await import('node-hid')
+      return module.default ?? module
+    } catch (error) {
+      throw new Error('The node-hid package is required to connect to a DP100 from Node.js', { cause: error })
+    }
+  }
+
+  /**
+   * The first DP100, or the one with the transport's path.
+   *
+   * @returns {Promise<NodeHIDDevice|undefined>} - The device, if any is plugged in.
+   */
+  async requestDevice () {
+    const devices = await this.getDevices()
+    return this.path ? devices.find(device => device.path === this.path) : devices[0]
+  }
+
+  /**
+   * List the DP100 devices that are plugged in.
+   *
+   * @returns {Promise<NodeHIDDevice[]>} - The devices.
+   */
+  async getDevices () {
+    const HID = await this.hid()
+    const infos = (await HID.devicesAsync(vendorId, productId)).filter(isDP100)
+    return infos.map((info) => {
+      if (!this.devices.has(info.path)) {
+        this.devices.set(info.path, new NodeHIDDevice(HID, info, this))
+      }
+      return this.devices.get(info.path)
+    })
+  }
+}
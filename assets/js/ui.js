@@ -1,9 +1,154 @@
 import uplot from 'uplot'
-import { LitElement, html, css } from 'lit'
-import { DP100 } from './dp100.js'
+import { LitElement, html, css, nothing } from 'lit'
+import { DP100, outputState } from './dp100.js'
+import { uplotStyles } from './panel.js'
+import { SimulatedTransport } from './simulator.js'
+import './system.js'
+import './about.js'
+import './firmware.js'
+import './presets.js'
+import './recordings.js'
+import { decimate } from './decimate.js'
+import { RecordingStore } from './storage.js'
+import { Sequencer } from './sequencer.js'
+import './sequences.js'
+import { BatteryCharger } from './charger.js'
+import './charging.js'
+import { OutputTimer, formatCountdown } from './timer.js'
+import './timing.js'
+import './safety.js'
+import { AlarmMonitor } from './monitor.js'
+import './alarms.js'
+import { Statistics, computeStatistics, maxGapFor } from './metrics.js'
+import './statistics.js'
+import { CurveTracer } from './tracer.js'
+import './curves.js'
+import { ProtocolCapture, ReplayTransport } from './protocol.js'
+import './inspector.js'
+
+const labelsKey = 'dp100.labels'
+const interlocksKey = 'dp100.interlocks'
+const alarmsKey = 'dp100.alarms'
+const refreshRateKey = 'dp100.refreshRate'
+const timeWindowKey = 'dp100.timeWindow'
+
+/** The time windows of the live graph in s. */
+const TIME_WINDOWS = Object.freeze([
+  ['10 s', 10], ['30 s', 30], ['1 min', 60], ['5 min', 300], ['15 min', 900], ['1 h', 3600], ['6 h', 21600],
+  ['24 h', 86400],
+])
 
 const dark = globalThis.matchMedia('(prefers-color-scheme: dark)').matches
 
+/**
+ * uPlot plugin drawing vertical lines at events, e.g. alarms or setpoint changes.
+ *
+ * Labels are skipped where they would overlap the previous one.
+ *
+ * @param {function(Number, Number): Object[]} markers - Returns the markers between two times in s,
+ *   each with its `time` in s, `color`, line `dash` and an optional `label`.
+ * @returns {Object} - The plugin.
+ */
+function eventMarkers (markers) {
+  return {
+    hooks: {
+      draw: [(u) => {
+        const { ctx, bbox } = u
+        const ratio = globalThis.devicePixelRatio ?? 1
+        let labelled = -Infinity  // where the last label ends
+        ctx.save()
+        ctx.lineWidth = ratio
+        ctx.font = `${12 * ratio}px sans-serif`
+        ctx.textBaseline = 'top'
+        for (const { time, color, dash, label } of markers(u.scales.x.min, u.scales.x.max)) {
+          const x = u.valToPos(time, 'x', true)
+          if (x < bbox.left || x > bbox.left + bbox.width) {
+            continue
+          }
+          ctx.strokeStyle = ctx.fillStyle = color
+          ctx.setLineDash(dash)
+          ctx.beginPath()
+          ctx.moveTo(x, bbox.top)
+          ctx.lineTo(x, bbox.top + bbox.height)
+          ctx.stroke()
+          if (label && x > labelled) {
+            ctx.fillText(label, x + 2 * ratio, bbox.top + 2 * ratio)
+            labelled = x + ctx.measureText(label).width + 6 * ratio
+          }
+        }
+        ctx.restore()
+      }],
+    },
+  }
+}
+
+/**
+ * The markers of the output toggles and setpoint changes from one sample to the next.
+ *
+ * @param {Object<string, Number>} previous - The earlier sample, by column, see `COLUMNS` in export.js.
+ * @param {Object<string, Number>} sample - The later sample.
+ * @returns {Object[]} - The markers at the later sample's time, see {@link eventMarkers}.
+ */
+function changeMarkers (previous, sample) {
+  const markers = []
+  const changed = (key) => Number.isFinite(previous[key]) && Number.isFinite(sample[key]) &&
+    previous[key] !== sample[key]
+  if (changed('on')) {
+    markers.push({ time: sample.t, color: dark ? 'white' : 'black', dash: [2, 4], label: sample.on ? 'ON' : 'OFF' })
+  }
+  if (changed('vSet')) {
+    markers.push({ time: sample.t, color: 'rgb(250, 200, 0)', dash: [], label: `${sample.vSet} V` })
+  }
+  if (changed('iSet')) {
+    markers.push({ time: sample.t, color: 'green', dash: [], label: `${sample.iSet} A` })
+  }
+  return markers
+}
+
+/**
+ * uPlot plugin zooming the time axis with the mouse wheel, around the cursor.
+ * A double click shows all data again.
+ *
+ * @param {function(Object|null)} zoom - Called with the new range `{ from, to }` in s, or null to show all.
+ * @param {Number} factor - The share of the range kept per wheel step.
+ * @returns {Object} - The plugin.
+ */
+function wheelZoom (zoom, factor = 0.75) {
+  return {
+    hooks: {
+      ready: [(u) => {
+        u.over.addEventListener('wheel', (event) => {
+          const [first, last] = [u.data[0][0], u.data[0][u.data[0].length - 1]]
+          if (first === undefined) {
+            return
+          }
+          event.preventDefault()
+          const { min, max } = u.scales.x
+          const x = u.posToVal(event.offsetX, 'x')
+          const scale = event.deltaY < 0 ? factor : 1 / factor
+          zoom({ from: Math.max(first, x - (x - min) * scale), to: Math.min(last, x + (max - x) * scale) })
+        }, { passive: false })
+        u.over.addEventListener('dblclick', () => zoom(null))
+      }],
+    },
+  }
+}
+
+/** Series of a recording overlaid on the one shown, dashed to tell them apart. */
+const overlaySeries = [
+  { label: 'Voltage', scale: 'V', stroke: 'rgb(250, 200, 0)' },
+  { label: 'Current', scale: 'A', stroke: 'green' },
+].map(({ label, scale, stroke }) => ({
+  show: true,
+  spanGaps: true,
+  label: `${label} (overlay)`,
+  value: (self, rawValue) => rawValue === null ? 'N/A' : `${rawValue.toLocaleString(undefined, { minimumFractionDigits: 3 })}${scale}`,
+  scale,
+  stroke,
+  width: 1,
+  dash: [10, 5],
+}))
+
 const grapOptions = {
   id: 'uv-graph',
   series: [
@@ -39,7 +184,10 @@ const grapOptions = {
   ],
   axes: [
     {
-      show: false
+      stroke: () => dark ? 'white' : 'black',
+      ticks: {
+        stroke: () => dark ? 'white' : 'black',
+      },
     },
     {
       scale: 'V',
@@ -86,11 +234,43 @@ export class DP100Element extends DP100(LitElement) {
   vHistory = []
   iHistory = []
   pHistory = []
+  vSetHistory = []
+  iSetHistory = []
+  eHistory = []
+  onHistory = []
+  store = new RecordingStore()
+  recordingBuffer = null
+  flushSize = 500  // samples written to IndexedDB at once
+  maxPoints = 10000  // samples kept in memory, older ones are decimated
+  liveWindow = 30  // seconds of raw samples kept at the end of the graph
+  timeWindow = 30  // seconds shown in the live graph
+  thinnedUntil = -Infinity  // time in s before which the history is decimated
+  changes = []  // markers of the history's toggles and setpoint changes, found before it is decimated
+  lastSample = null  // the latest live sample, undecimated
 
   static properties = {
     device: { type: Object, attribute: false, reflect: true },
+    connectionState: { type: String, attribute: 'connection-state', reflect: true },
     settings: { type: Object, attribute: false, reflect: true },
     info: { type: Object, attribute: false, reflect: true },
+    system: { type: Object, attribute: false, reflect: true },
+    deviceInfo: { type: Object, attribute: false, reflect: true },
+    presets: { type: Array, attribute: false, reflect: true },
+    panel: { type: String, state: true },
+    recording: { type: Object, state: true },
+    viewing: { type: Object, state: true },
+    sequenceProgress: { type: Object, state: true },
+    chargeStatus: { type: Object, state: true },
+    timerStatus: { type: Object, state: true },
+    refusal: { type: String, state: true },
+    alarmHistory: { type: Array, state: true },
+    selection: { type: Object, state: true },
+    sweepProgress: { type: Object, state: true },
+    replaying: { type: Boolean, state: true },
+    overlay: { type: Object, state: true },
+    graphPaused: { type: Boolean, state: true },
+    zoomRange: { type: Object, state: true },
+    faults: { type: Array, state: true },
     vMax: { type: Number, attribute: false, reflect: true },
     iMax: { type: Number, attribute: false, reflect: true },
     pMax: { type: Number, attribute: false, reflect: true },
@@ -102,8 +282,9 @@ export class DP100Element extends DP100(LitElement) {
         "graph graph graph vOut" 2fr
         "graph graph graph iOut" 2fr
         "graph graph graph pOut" 1fr
+        "presets presets presets presets" 3em
         "controls controls controls controls" 120px / 1fr 1fr 1fr minmax(42vh, max-content);
-      height: 100vh;
+      height: var(--dp100-height, 100vh);
       overflow: hidden;
     }
 
@@ -172,6 +353,41 @@ export class DP100Element extends DP100(LitElement) {
     #graph {
       grid-area: graph;
       border: thick solid CanvasText;
+      /* sized by the grid, the plot follows it */
+      min-width: 0;
+      min-height: 0;
+      overflow: hidden;
+    }
+
+    #graph-controls {
+      grid-area: graph;
+      align-self: start;
+      justify-self: start;
+      z-index: 1;
+      display: flex;
+      gap: 0.25em;
+      padding: 0.5em 1em;
+
+      button, select {
+        font-size: 1em;
+        width: auto;
+        height: auto;
+        padding: 0.25em 1em;
+      }
+    }
+
+    #status {
+      grid-area: graph;
+      align-self: start;
+      justify-self: end;
+      z-index: 1;
+      padding: 0.5em 1em;
+      pointer-events: none;
+      font-weight: bold;
+    }
+
+    .recording {
+      color: rgb(200 0 0);
     }
 
     #vOut, #iOut, #pOut {
@@ -213,6 +429,10 @@ export class DP100Element extends DP100(LitElement) {
       font-size: 2em;
     }
 
+    dp100-presets {
+      grid-area: presets;
+    }
+
     #controls {
       grid-area: controls;
       display: flex;
@@ -253,21 +473,134 @@ export class DP100Element extends DP100(LitElement) {
       background-color: #efefef;
       color: black
     }
+
+    #panel {
+      min-width: 50vw;
+      max-height: 90vh;
+      font-size: 1.25em;
+
+      nav {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.25em;
+        margin-bottom: 1em;
+      }
+
+      button {
+        font-size: 1em;
+        width: auto;
+        height: auto;
+        padding: 0.25em 1em;
+      }
+
+      nav button[aria-current] {
+        background-color: #03a2e9;
+        color: white;
+      }
+
+      form[method=dialog] {
+        margin-top: 1em;
+        text-align: right;
+      }
+    }
   `
 
+  /** Panels shown in the menu, by key. */
+  static panels = {
+    system: 'System',
+    about: 'About device',
+    firmware: 'Firmware',
+    recordings: 'Recordings',
+    sequences: 'Sequences',
+    charging: 'Charging',
+    timer: 'Timer',
+    safety: 'Safety',
+    alarms: 'Alarms',
+    statistics: 'Statistics',
+    curves: 'I-V curves',
+    inspector: 'Protocol',
+  }
+
   constructor () {
     super()
     this.vMax = 0
     this.iMax = 0
     this.pMax = 0
     this.energy = 0
-    this.timer = Date.now()
+    this.charge = 0
+    this.refreshRate = Number(localStorage.getItem(refreshRateKey)) || this.refreshRate
+    this.statistics = new Statistics({ maxGap: maxGapFor(this.refreshRate) })
+    this.sequencer = new Sequencer(this)
+    for (const type of ['progress', 'statechange']) {
+      this.sequencer.addEventListener(type, (event) => { this.sequenceProgress = event.detail })
+    }
+    this.charger = new BatteryCharger(this)
+    for (const type of ['progress', 'end']) {
+      this.charger.addEventListener(type, (event) => { this.chargeStatus = event.detail })
+    }
+    this.outputTimer = new OutputTimer(this)
+    for (const type of ['progress', 'end']) {
+      this.outputTimer.addEventListener(type, (event) => { this.timerStatus = event.detail })
+    }
+    this.interlocks = { ...this.interlocks, ...JSON.parse(sessionStorage.getItem(interlocksKey) ?? '{}') }
+    this.addEventListener('interlock', (event) => { this.refusal = event.detail.reason })
+    this.addEventListener('switchoff', (event) => { this.stopJobs(event.detail.reason) })
+    this.tracer = new CurveTracer(this)
+    this.tracer.addEventListener('progress', (event) => { this.sweepProgress = event.detail })
+    this.alarms = new AlarmMonitor(this)
+    this.alarms.rules = JSON.parse(localStorage.getItem(alarmsKey) ?? '[]')
+    this.alarmHistory = []
+    this.alarms.addEventListener('alarm', () => { this.alarmHistory = this.alarms.history })
+    this.capture = new ProtocolCapture(this)
+    this.replaying = false
+    this.timeWindow = Number(localStorage.getItem(timeWindowKey)) || this.timeWindow
+    this.graphPaused = false
+    this.zoomRange = null  // the time range zoomed into, `{ from, to }` in s
+    const simulate = new URLSearchParams(globalThis.location.search).get('simulate')
+    if (simulate !== null) {
+      this.transport = new SimulatedTransport(simulate === 'battery' ? { battery: {} } : {})
+    }
   }
 
   render () {
     return html`
-      <link href="https://cdn.jsdelivr.net/npm/uplot@1.6.31/dist/uPlot.min.css" rel="stylesheet">
+      <link href=${uplotStyles} rel="stylesheet">
       <div id="graph"></div>
+      <div id="graph-controls">
+        ${this.viewing ? '' : html`
+          <button @click=${() => this.graphPaused ? this.resumeGraph() : this.pauseGraph()}>
+            ${this.graphPaused ? '⏵ Live' : '⏸ Pause'}
+          </button>
+          <select title="Time window" @change=${(event) => this.setTimeWindow(Number(event.target.value))}>
+            ${TIME_WINDOWS.map(([label, seconds]) => html`
+              <option value=${seconds} ?selected=${seconds === this.timeWindow}>${label}</option>
+            `)}
+          </select>
+        `}
+        ${this.zoomRange ? html`<button @click=${() => this.zoom(null)}>Reset zoom</button>` : ''}
+      </div>
+      <div id="status">
+        ${this.label ? html`<span>${this.label}</span>` : ''}
+        ${this.connectionState === 'reconnecting' ? html`<span class="recording">⚠ Disconnected</span>` : ''}
+        ${this.refusal ? html`<span class="recording">⛔ ${this.refusal}</span>` : ''}
+        ${this.alarms.active.size ? html`<span class="recording">🔔 ${this.alarms.active.size}</span>` : ''}
+        ${this.recording ? html`<span class="recording">● REC</span>` : ''}
+        ${this.viewing ? html`<span>${this.viewing.name}${this.overlay ? ` vs. ${this.overlay.name}` : ''}</span>` : ''}
+        ${this.replaying ? html`<span>⏵ Replay</span>` : ''}
+        ${this.renderSequenceProgress()}
+        ${this.sweepProgress?.running ? html`
+          <span>〽 Sweep ${this.sweepProgress.index + 1}/${this.sweepProgress.steps}</span>
+        ` : ''}
+        ${this.chargeStatus?.phase === 'cc' || this.chargeStatus?.phase === 'cv' ? html`
+          <span>🔋 ${this.chargeStatus.phase.toUpperCase()} ${this.chargeStatus.mAh.toFixed(1)} mAh</span>
+        ` : ''}
+        ${this.timerStatus?.running ? html`
+          <span>
+            ⏲ ${this.timerStatus.next.state ? 'On' : 'Off'} in ${formatCountdown(this.timerStatus.remaining)}
+            ${this.timerStatus.job.mode === 'cycle' ? `(${this.timerStatus.cycle}/${this.timerStatus.job.count})` : ''}
+          </span>
+        ` : ''}
+      </div>
       <div id="vOut">
         <div class="group group--big">
           <div class="label">
@@ -367,7 +700,18 @@ export class DP100Element extends DP100(LitElement) {
           })}
           Wh
         </div>
+        <div class="value">
+          <strong><em>Q</em></strong><sub>out</sub>
+          ${(this.charge).toLocaleString(undefined, {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+            minimumIntegerDigits: 1,
+            useGrouping: false
+          })}
+          mAh
+        </div>
       </div>
+      <dp100-presets .psu=${this} .presets=${this.presets} .settings=${this.settings}></dp100-presets>
       <div id="controls">
         <div id="mode">
           ${this.renderMode()}
@@ -412,42 +756,142 @@ export class DP100Element extends DP100(LitElement) {
         <div id="reset">
           <button @click=${this.reset.bind(this)}>RST</button>
         </div>
+        <div id="menu">
+          <button @click=${() => this.openPanel()} title="Menu">☰</button>
+        </div>
       </div>
+      <dialog id="panel" @close=${() => { this.panel = null }}>
+        <nav>
+          ${Object.entries(this.constructor.panels).map(([key, label]) => html`
+            <button @click=${() => this.openPanel(key)} aria-current=${key === this.panel || nothing}>${label}</button>
+          `)}
+        </nav>
+        ${this.renderPanel()}
+        <form method="dialog">
+          <button>Close</button>
+        </form>
+      </dialog>
     `
   }
 
+  renderSequenceProgress () {
+    const progress = this.sequenceProgress
+    if (progress?.state !== 'running' && progress?.state !== 'paused') {
+      return ''
+    }
+    return html`
+      <span>
+        ${progress.state === 'paused' ? '⏸' : '▶'} ${progress.name} ${progress.label}
+        ${progress.elapsed.toFixed(1)}/${progress.duration.toFixed(1)} s
+        <progress value=${progress.elapsed} max=${progress.duration}></progress>
+      </span>
+    `
+  }
+
+  renderPanel () {
+    switch (this.panel) {
+      case 'system':
+        return html`<dp100-system-settings .psu=${this} .system=${this.system}></dp100-system-settings>`
+      case 'about':
+        return html`<dp100-about .psu=${this} .deviceInfo=${this.deviceInfo}></dp100-about>`
+      case 'firmware':
+        return html`<dp100-firmware .psu=${this} .deviceInfo=${this.deviceInfo}></dp100-firmware>`
+      case 'sequences':
+        return html`<dp100-sequences .sequencer=${this.sequencer} .progress=${this.sequenceProgress}></dp100-sequences>`
+      case 'charging':
+        return html`<dp100-charging .charger=${this.charger} .status=${this.chargeStatus}></dp100-charging>`
+      case 'timer':
+        return html`<dp100-timing .timer=${this.outputTimer} .status=${this.timerStatus}></dp100-timing>`
+      case 'inspector':
+        return html`<dp100-inspector .psu=${this} .capture=${this.capture}
+                                     .replaying=${this.replaying}></dp100-inspector>`
+      case 'curves':
+        return html`<dp100-curves .tracer=${this.tracer} .progress=${this.sweepProgress}></dp100-curves>`
+      case 'statistics':
+        return html`<dp100-statistics .session=${this.viewing?.statistics ?? this.statistics.result}
+                                      .selection=${this.selection} .overlay=${this.overlay}
+                                      .recording=${this.recording}></dp100-statistics>`
+      case 'alarms':
+        return html`<dp100-alarms .psu=${this} .rules=${this.alarms.rules}
+                                  .history=${this.alarmHistory}></dp100-alarms>`
+      case 'safety':
+        return html`<dp100-safety .psu=${this} .interlocks=${this.interlocks}
+                                  .faults=${this.faults}></dp100-safety>`
+      case 'recordings':
+        return html`<dp100-recordings .psu=${this} .info=${this.info} .recording=${this.recording}
+                                   .viewing=${this.viewing} .overlay=${this.overlay}></dp100-recordings>`
+    }
+  }
+
+  /**
+   * Show the menu dialog with the given panel.
+   *
+   * @param {String} panel - The panel to show, defaults to the first one.
+   */
+  openPanel (panel = Object.keys(this.constructor.panels)[0]) {
+    this.panel = panel
+    const dialog = this.shadowRoot.querySelector('#panel')
+    if (!dialog.open) {
+      dialog.showModal()
+    }
+  }
+
   renderMode () {
     if (!this.device) {
+      switch (this.connectionState) {
+        case 'connecting':
+          return html`
+            <button disabled>Connecting…</button>`
+        case 'reconnecting':
+          return html`
+            <button @click="${this.connect.bind(this)}" style="background-color: rgb(250 200 0 / 85%)"
+                    title="Plug the device back in or click to pick another one">Reconnecting…</button>`
+        default:
+          return html`
+            <button @click="${this.connect.bind(this)}">Connect</button>`
+      }
+    }
+    const state = this.info && outputState(this.info)
+    if (state?.fault) {
       return html`
-        <button @click="${this.connect.bind(this)}">Connect</button>`
+        <button @click="${this.togglePower.bind(this)}" title=${state.description}
+                style="background-color: rgb(200 0 0 / 85%)">
+          ${state.name === 'UNKNOWN' ? `? ${state.code}` : state.name}
+        </button>`
     }
     if (!this.settings?.state) {
       return html`
         <button @click="${this.togglePower.bind(this)}">OFF</button>`
     }
-    switch (this.info?.outMode) {
-      case 0:
+    switch (state?.name) {
+      case 'CC':
         return html`
           <button @click="${this.togglePower.bind(this)}" style="background-color: rgb(0 200 0 / 85%)">CC</button>`
-      case 1:
+      case 'CV':
         return html`
           <button @click="${this.togglePower.bind(this)}" style="background-color: rgb(250 200 0 / 85%)">CV</button>`
-      case 2:
-        switch (this.info?.workSt) {
-          case 1:
-            return html`
-              <button @click="${this.togglePower.bind(this)}" style="background-color: rgb(200 0 0 / 85%)">OVP</button>`
-          case 2:
-            return html`
-              <button @click="${this.togglePower.bind(this)}" style="background-color: rgb(200 0 0 / 85%)">OCP</button>`
-        }
+      default:
+        return html`
+          <button @click="${this.togglePower.bind(this)}" title=${state?.description ?? 'No reading yet'}
+                  style="background-color: rgb(128 128 128 / 85%)">${state ? `? ${state.code}` : 'ON'}</button>`
     }
   }
 
+  /** Render at most once per animation frame, however fast samples arrive. */
+  async scheduleUpdate () {
+    await new Promise(resolve => requestAnimationFrame(resolve))
+    super.scheduleUpdate()
+  }
+
   updated (changedProperties) {
     this.shadowRoot.querySelectorAll('input').forEach(input => {
       input.disabled = !this.device
     })
+    if (this.graphStale && this.graph && !this.graphPaused) {
+      this.graphStale = false
+      this.graph.setData(this.graphData(), false)
+      this.showTimeWindow()
+    }
     if (changedProperties.has('settings') && this.graph && this.settings) {
       const ovp = parseFloat(this.settings.ovp_set) || 30
       const ocp = parseFloat(this.settings.ocp_set) || 5
@@ -458,15 +902,64 @@ export class DP100Element extends DP100(LitElement) {
   }
 
   togglePower () {
-    this.setBasicOutput({ state: this.settings.state ? 0 : 1 })
+    this.applyOutput({ state: this.settings.state ? 0 : 1 })
   }
 
   changeVoltage (event) {
-    this.setBasicOutput({ vo_set: event.target.value })
+    this.applyOutput({ vo_set: event.target.value })
   }
 
   changeCurrent (event) {
-    this.setBasicOutput({ io_set: event.target.value })
+    this.applyOutput({ io_set: event.target.value })
+  }
+
+  /**
+   * Apply output settings from the controls, which are reset if an interlock refuses them.
+   *
+   * @param {Object} output - The output settings, see {@link setBasicOutput}.
+   */
+  async applyOutput (output) {
+    try {
+      await this.setBasicOutput(output)
+      this.refusal = null
+    } catch (error) {
+      console.error(error)
+      this.refusal = error.message
+      for (const input of this.shadowRoot.querySelectorAll('input[name=vo_set], input[name=io_set]')) {
+        input.value = this.settings[input.name]
+      }
+    }
+  }
+
+  async confirmVoltage (vo_set) {
+    return globalThis.confirm(`Raise the output voltage to ${vo_set} V?`)
+  }
+
+  /**
+   * Replace the alarm rules, they are kept across sessions.
+   *
+   * @param {Object[]} rules - The rules, see {@link AlarmMonitor#rules}.
+   */
+  setAlarmRules (rules) {
+    this.alarms.rules = rules
+    for (const id of this.alarms.active) {
+      if (!rules.some(rule => rule.id === id)) {
+        this.alarms.active.delete(id)
+      }
+    }
+    localStorage.setItem(alarmsKey, JSON.stringify(rules))
+    this.requestUpdate()
+  }
+
+  /**
+   * Replace the interlocks, they are kept for the browser session.
+   *
+   * @param {Object} interlocks - The interlocks, see {@link INTERLOCKS}.
+   */
+  setInterlocks (interlocks) {
+    this.interlocks = { ...interlocks }
+    sessionStorage.setItem(interlocksKey, JSON.stringify(this.interlocks))
+    this.requestUpdate()
   }
 
   changeOverVoltageProtection (event) {
@@ -477,43 +970,454 @@ export class DP100Element extends DP100(LitElement) {
     this.setBasicSettings({ ocp_set: event.target.value })
   }
 
+  /**
+   * Replay a protocol capture as if its device were attached.
+   *
+   * @param {Object} capture - The capture, see {@link parseCapture}.
+   */
+  async replay (capture) {
+    this.disconnect()
+    this.liveTransport ??= this.transport
+    this.transport = new ReplayTransport(capture)
+    this.replaying = true
+    try {
+      await this.connect()
+    } catch (error) {
+      this.stopReplay()
+      throw error
+    }
+  }
+
+  /** Stop replaying and return to the device's own transport. */
+  stopReplay () {
+    this.disconnect()
+    this.transport = this.liveTransport ?? this.transport
+    this.liveTransport = null
+    this.replaying = false
+  }
+
+  /**
+   * Change the time between samples, it is remembered for the next visit.
+   *
+   * @param {Number} refreshRate - The time between polls in ms.
+   */
+  setRefreshRate (refreshRate) {
+    this.refreshRate = refreshRate
+    this.statistics.maxGap = maxGapFor(refreshRate)
+    localStorage.setItem(refreshRateKey, String(refreshRate))
+  }
+
+  /**
+   * Change the time shown in the live graph, it is remembered for the next visit.
+   *
+   * Without a recording, samples older than the time window are dropped.
+   *
+   * @param {Number} seconds - The time window in s.
+   */
+  setTimeWindow (seconds) {
+    this.timeWindow = seconds
+    localStorage.setItem(timeWindowKey, String(seconds))
+    if (!this.zoomRange) {
+      this.showTimeWindow()
+    }
+  }
+
+  /** Show the time window up to the latest sample of the graph's data. */
+  showTimeWindow () {
+    const t = this.graph.data[0]
+    if (!t.length) {
+      return
+    }
+    this.graph.setScale('x', { min: Math.max(t[0], t[t.length - 1] - this.timeWindow), max: t[t.length - 1] })
+  }
+
+  /** Freeze the live graph, samples are still collected. */
+  pauseGraph () {
+    if (this.graphPaused || this.viewing) {
+      return
+    }
+    this.graphPaused = true
+    // a copy, as the history keeps growing underneath
+    this.graph.setData(this.graphData().map(values => values.slice()), false)
+    this.showTimeWindow()
+  }
+
+  /** Return to the live graph, resetting the zoom. */
+  resumeGraph () {
+    this.graphPaused = false
+    this.zoomRange = null
+    this.selection = null
+    this.graphStale = !this.viewing
+  }
+
+  /**
+   * Zoom the graph's time axis, which pauses the live graph. The range zoomed into is the
+   * selection whose statistics are shown.
+   *
+   * @param {{from: Number, to: Number}|null} range - The range in s, or null to show the whole time window
+   *   or recording.
+   */
+  zoom (range) {
+    if (range) {
+      this.pauseGraph()
+    }
+    this.zoomRange = range
+    this.graph.setSelect({ left: 0, width: 0, top: 0, height: 0 }, false)
+    if (!range) {
+      this.selection = null
+      if (!this.viewing) {
+        this.showTimeWindow()
+      } else if (this.graph.data[0].length) {
+        const t = this.graph.data[0]
+        this.graph.setScale('x', { min: t[0], max: t[t.length - 1] })
+      }
+      return
+    }
+    const { from, to } = range
+    this.graph.setScale('x', { min: from, max: to })
+    // stored recordings are used at full resolution, not as decimated for the graph
+    const samples = this.viewing?.samples ?? this.samples
+    this.selection = {
+      from,
+      to,
+      // the integrals of decimated samples are wrong, their reordered extremes aren't real readings
+      thinned: !this.viewing && from < this.thinnedUntil,
+      statistics: computeStatistics(samples, {
+        from, to, maxGap: maxGapFor(this.viewing ? this.viewing.metadata?.refreshRate : this.refreshRate),
+      }),
+      overlay: this.overlay && computeStatistics(this.overlay.samples, {
+        from, to, maxGap: maxGapFor(this.overlay.metadata?.refreshRate),
+      }),
+    }
+  }
+
+  /**
+   * The graph's markers: output toggles and setpoint changes, found in the samples, and alarms.
+   *
+   * @param {Number} from - Start of the time range in s.
+   * @param {Number} to - End of the time range in s.
+   * @returns {Object[]} - The markers, see `eventMarkers`.
+   */
+  graphMarkers (from, to) {
+    const markers = []
+    if (this.viewing) {
+      // stored recordings are used at full resolution, decimation blurs the time of a change
+      const { t, vSet, iSet, on } = this.viewing.samples
+      const row = (index) => ({ t: t[index], vSet: vSet[index], iSet: iSet[index], on: on[index] })
+      for (let index = 1; index < t.length && t[index] <= to; index++) {
+        if (t[index] >= from) {
+          markers.push(...changeMarkers(row(index - 1), row(index)))
+        }
+      }
+    } else {
+      markers.push(...this.changes.filter(({ time }) => time >= from && time <= to))
+    }
+    for (const { time } of this.alarms.history) {
+      markers.push({ time: time / 1000, color: 'rgb(200 0 0)', dash: [5, 5] })
+    }
+    return markers
+  }
+
   reset () {
+    this.statistics.reset()
     this.energy = 0
-    this.timer = Date.now()
+    this.charge = 0
     this.vMax = 0
     this.iMax = 0
     this.pMax = 0
   }
 
+  /**
+   * Add a sample to the history and the running recording.
+   *
+   * Without a recording, the history is limited to the time window.
+   * Samples older than the live window are decimated to keep the graph responsive, so the
+   * output toggles and setpoint changes are noted for the graph's markers as the samples arrive.
+   *
+   * @param {Object<string, Number>} sample - The sample by column, see `COLUMNS` in export.js.
+   */
+  appendSample (sample) {
+    if (this.recording) {
+      for (const [key, value] of Object.entries(sample)) {
+        this.recordingBuffer[key].push(value)
+      }
+      if (this.recordingBuffer.t.length >= this.flushSize) {
+        this.flushRecording().catch(error => console.error(error))
+      }
+    }
+    if (this.viewing) {
+      return
+    }
+    const samples = this.samples
+    for (const [key, value] of Object.entries(sample)) {
+      samples[key].push(value)
+    }
+    if (this.lastSample) {
+      this.changes.push(...changeMarkers(this.lastSample, sample))
+    }
+    this.lastSample = sample
+    if (!this.recording && this.tHistory[0] < sample.t - this.timeWindow) {
+      const expired = this.tHistory.findIndex(t => t >= sample.t - this.timeWindow)
+      for (const values of Object.values(samples)) {
+        values.splice(0, expired)
+      }
+      if (this.changes[0]?.time < samples.t[0]) {
+        this.changes = this.changes.filter(({ time }) => time >= samples.t[0])
+      }
+    }
+    if (this.tHistory.length > this.maxPoints) {
+      const split = this.tHistory.findIndex(t => t >= sample.t - this.liveWindow)
+      if (split > 0) {
+        const older = Object.fromEntries(Object.entries(samples).map(([key, values]) => [key, values.slice(0, split)]))
+        const newer = Object.fromEntries(Object.entries(samples).map(([key, values]) => [key, values.slice(split)]))
+        const decimated = decimate(older, Math.max(1, Math.floor((this.maxPoints - newer.t.length) / 4)))
+        this.samples = Object.fromEntries(Object.keys(samples).map(key => [key, decimated[key].concat(newer[key])]))
+        this.thinnedUntil = newer.t[0]
+      }
+    }
+  }
+
+  /**
+   * Start a recording session, that is persisted in IndexedDB.
+   *
+   * @param {String} name - A human-readable name for the session.
+   */
+  async startRecording (name) {
+    this.recordingBuffer = Object.fromEntries(Object.keys(this.samples).map(key => [key, []]))
+    this.recording = await this.store.createSession({ name, metadata: this.metadata })
+  }
+
+  /**
+   * Stop everything that drives the output: the sequence, the sweep, the charge and the timer.
+   *
+   * @param {String} reason - Why they are stopped.
+   */
+  async stopJobs (reason) {
+    this.sequencer.stop()
+    this.tracer.stop()
+    const results = await Promise.allSettled([this.outputTimer.stop(reason), this.charger.stop(reason)])
+    const failed = results.filter(result => result.status === 'rejected')
+    if (failed.length) {
+      console.error(...failed.map(result => result.reason))
+    }
+  }
+
+  /** Stop the running recording session and persist its remaining samples. */
+  async stopRecording () {
+    await this.flushRecording()
+    this.recording = null
+    this.recordingBuffer = null
+  }
+
+  /** Write the buffered samples of the running recording to IndexedDB. */
+  async flushRecording () {
+    const buffer = this.recordingBuffer
+    if (!this.recording || !buffer.t.length) {
+      return
+    }
+    this.recordingBuffer = Object.fromEntries(Object.keys(buffer).map(key => [key, []]))
+    await this.store.appendChunk(this.recording.id, buffer)
+  }
+
+  /**
+   * Show a stored recording session in the graph instead of the live data.
+   *
+   * @param {Number} id - The session's ID.
+   */
+  async openSession (id) {
+    this.openRecording(await this.store.loadSession(id))
+  }
+
+  /**
+   * Show a recording in the graph instead of the live data, no device needs to be attached.
+   *
+   * @param {{name: String, metadata: Object, samples: Object<string, Number[]>}} recording - E.g. a stored
+   *   session or a file read by `parseRecording` in export.js.
+   */
+  openRecording (recording) {
+    const maxGap = maxGapFor(recording.metadata?.refreshRate)
+    this.viewing = { ...recording, statistics: computeStatistics(recording.samples, { maxGap }) }
+    this.selection = null
+    this.graphPaused = false
+    this.samples = decimate(recording.samples, Math.floor(this.maxPoints / 2))
+    this.showOverlay(null)
+  }
+
+  /**
+   * Overlay another recording on the one shown, shifted to start at the same time, e.g. to compare
+   * a device under test before and after a change.
+   *
+   * @param {{name: String, metadata: Object, samples: Object<string, Number[]>}} recording - The recording,
+   *   see {@link openRecording}, or null to remove the overlay.
+   */
+  showOverlay (recording) {
+    if (recording && !this.viewing) {
+      throw new Error('Open a recording to compare with first')
+    }
+    if (recording) {
+      const offset = this.viewing.samples.t[0] - recording.samples.t[0]
+      const samples = { ...recording.samples, t: recording.samples.t.map(t => t + offset) }
+      const maxGap = maxGapFor(recording.metadata?.refreshRate)
+      this.overlay = { ...recording, offset, samples, statistics: computeStatistics(samples, { maxGap }) }
+      this.overlaySamples = decimate(samples, Math.floor(this.maxPoints / 2))
+    } else {
+      this.overlay = null
+      this.overlaySamples = null
+    }
+    this.selection = null
+    this.zoomRange = null
+    this.graph.setSelect({ left: 0, width: 0, top: 0, height: 0 }, false)
+    const overlaid = this.graph.series.length > grapOptions.series.length
+    if (recording && !overlaid) {
+      overlaySeries.forEach((series, index) => this.graph.addSeries({ ...series }, grapOptions.series.length + index))
+    } else if (!recording && overlaid) {
+      overlaySeries.forEach(() => this.graph.delSeries(grapOptions.series.length))
+    }
+    this.graph.setData(this.graphData())
+  }
+
+  /** Return from a stored recording session to the live data. */
+  closeSession () {
+    this.viewing = null
+    this.samples = Object.fromEntries(Object.keys(this.samples).map(key => [key, []]))
+    this.thinnedUntil = -Infinity
+    this.changes = []
+    this.lastSample = null
+    this.showOverlay(null)
+    this.resumeGraph()
+  }
+
+  /** The graph's data, the samples and the overlay's voltage and current on a joined time axis. */
+  graphData () {
+    const data = [this.tHistory, this.vHistory, this.iHistory, this.pHistory]
+    if (!this.overlaySamples) {
+      return data
+    }
+    const { t, v, i } = this.overlaySamples
+    return uplot.join([data, [t, v, i]])
+  }
+
+  /** The recorded samples by column, see `COLUMNS` in export.js. */
+  get samples () {
+    return {
+      t: this.tHistory,
+      v: this.vHistory,
+      i: this.iHistory,
+      p: this.pHistory,
+      vSet: this.vSetHistory,
+      iSet: this.iSetHistory,
+      e: this.eHistory,
+      on: this.onHistory,
+    }
+  }
+
+  set samples ({ t, v, i, p, vSet, iSet, e, on = t.map(() => null) }) {
+    this.tHistory = t
+    this.vHistory = v
+    this.iHistory = i
+    this.pHistory = p
+    this.vSetHistory = vSet
+    this.iSetHistory = iSet
+    this.eHistory = e
+    this.onHistory = on
+  }
+
+  /** Information about the device, written to the header of exports. */
+  get metadata () {
+    return {
+      application: 'DP100 WebApp',
+      device: this.deviceTag,
+      ...this.deviceInfo,
+      refreshRate: this.refreshRate,
+      settings: this.settings,
+      system: this.system,
+      exported: new Date().toISOString(),
+    }
+  }
+
+  /** The unit's label, a user-given name or its serial number. */
+  get label () {
+    const serialNumber = this.deviceInfo?.serialNumber
+    if (!serialNumber) {
+      return undefined
+    }
+    return JSON.parse(localStorage.getItem(labelsKey) ?? '{}')[serialNumber] || `SN ${serialNumber}`
+  }
+
+  /**
+   * Name the connected unit, the name is remembered for its serial number.
+   *
+   * @param {String} name - The new name, an empty one restores the serial number.
+   */
+  rename (name) {
+    const serialNumber = this.deviceInfo?.serialNumber
+    if (!serialNumber) {
+      return
+    }
+    const labels = JSON.parse(localStorage.getItem(labelsKey) ?? '{}')
+    if (name) {
+      labels[serialNumber] = name
+    } else {
+      delete labels[serialNumber]
+    }
+    localStorage.setItem(labelsKey, JSON.stringify(labels))
+    this.requestUpdate()
+  }
+
   firstUpdated () {
+    this.restore().catch(error => console.error(error))
     const graphElement = this.shadowRoot.querySelector('#graph')
+    const legendHeight = 48
     this.graph = new uplot({
       ...grapOptions,
-      width: graphElement.offsetWidth,
-      height: graphElement.offsetHeight - 48,
+      plugins: [eventMarkers(this.graphMarkers.bind(this)), wheelZoom(this.zoom.bind(this))],
+      // dragging zooms, through the setSelect hook, so that the live graph is paused first
+      cursor: { drag: { x: true, y: false, setScale: false } },
+      hooks: {
+        setSelect: [(u) => {
+          if (u.select.width) {
+            this.zoom({
+              from: u.posToVal(u.select.left, 'x'),
+              to: u.posToVal(u.select.left + u.select.width, 'x'),
+            })
+          }
+        }],
+      },
+      width: graphElement.clientWidth,
+      height: graphElement.clientHeight - legendHeight,
     }, [this.tHistory, this.vHistory, this.iHistory, this.pHistory], graphElement)
+    this.resizeObserver = new ResizeObserver(([{ contentRect }]) => {
+      this.graph.setSize({ width: contentRect.width, height: Math.max(0, contentRect.height - legendHeight) })
+    })
+    this.resizeObserver.observe(graphElement)
   }
 
   receiveBasicInfo ({ vIn, vOut, iOut, voMax, temp1, temp2, dc5V, outMode, workSt }) {
     super.receiveBasicInfo({ vIn, vOut, iOut, voMax, temp1, temp2, dc5V, outMode, workSt })
 
-    this.vMax = vOut > this.vMax ? vOut : this.vMax
-    this.iMax = iOut > this.iMax ? iOut : this.iMax
-    this.pMax = vOut * iOut > this.pMax ? vOut * iOut : this.pMax
-    this.energy += vOut * iOut * (Date.now() - this.timer) / 1000 / 3600
-    this.timer = Date.now()
-
-    this.tHistory.push(Date.now() / 1000)  // uplot uses seconds
-    this.vHistory.push(vOut)
-    this.iHistory.push(iOut)
-    this.pHistory.push(vOut * iOut)
-    if (this.vHistory.length > 30 * 1000 / this.refreshRate) {
-      this.tHistory.shift()
-      this.vHistory.shift()
-      this.iHistory.shift()
-      this.pHistory.shift()
-    }
-    this.graph.setData([this.tHistory, this.vHistory, this.iHistory, this.pHistory])
+    // monotonic, so clock adjustments don't distort the integration; uplot uses seconds
+    const t = (performance.timeOrigin + performance.now()) / 1000
+    const on = this.settings?.state ? 1 : 0
+    this.statistics.add({ t, v: vOut, i: iOut, on })
+    const { v, i, p, Wh, mAh } = this.statistics.result
+    this.vMax = v.max
+    this.iMax = i.max
+    this.pMax = p.max
+    this.energy = Wh
+    this.charge = mAh
+
+    this.appendSample({
+      t,
+      v: vOut,
+      i: iOut,
+      p: vOut * iOut,
+      vSet: Number(this.settings?.vo_set),
+      iSet: Number(this.settings?.io_set),
+      e: this.energy,
+      on,
+    })
+    // drawn with the next render, samples arrive faster than frames
+    this.graphStale = !this.viewing
   }
 }
 
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util'
+import { DP100, outputState } from '../assets/js/dp100.js'
+import { csvHeader, csvRow } from '../assets/js/export.js'
+import { Statistics, maxGapFor } from '../assets/js/metrics.js'
+import { SimulatedTransport } from '../assets/js/simulator.js'
+import { OutputTimer, timerJob } from '../assets/js/timer.js'
+import { NodeHIDTransport } from '../assets/js/transport.js'
+
+const usage = `Usage: dp100 <command> [options]
+
+Commands:
+  list                 List the DP100 devices that are plugged in.
+  info                 Print the device's identity, settings and system settings.
+  read                 Print a single measurement.
+  set                  Change the settings given by --voltage, --current, --ovp and --ocp.
+  on | off | toggle    Switch the output.
+  stream               Write measurements as CSV to stdout, until interrupted or --duration.
+  cycle                Power-cycle the output --count times, --on and --off seconds each.
+
+Options:
+  --device <path>      HID path of the DP100 to use, defaults to the first one.
+  --voltage <V>        Output voltage setting.
+  --current <A>        Output current setting.
+  --ovp <V>            Over-voltage protection.
+  --ocp <A>            Over-current protection.
+  --interval <ms>      Time between measurements, defaults to 100.
+  --duration <s>       Stop streaming after this many seconds.
+  --count <n>          Number of power cycles.
+  --on <s>             Time the output stays on per cycle, defaults to 1.
+  --off <s>            Time the output stays off per cycle, defaults to 1.
+  --json               Print JSON instead of text.
+  --simulate           Use a simulated DP100 driving a resistive load.
+  --battery            Use a simulated DP100 charging a battery.
+  --verbose            Log the protocol to stderr.
+  --help               Show this help.
+`
+
+const { values: options, positionals: [command] } = parseArgs({
+  allowPositionals: true,
+  options: {
+    device: { type: 'string' },
+    voltage: { type: 'string' },
+    current: { type: 'string' },
+    ovp: { type: 'string' },
+    ocp: { type: 'string' },
+    interval: { type: 'string', default: '100' },
+    duration: { type: 'string' },
+    count: { type: 'string' },
+    on: { type: 'string', default: '1' },
+    off: { type: 'string', default: '1' },
+    json: { type: 'boolean', default: false },
+    simulate: { type: 'boolean', default: false },
+    battery: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false },
+  },
+})
+
+// stdout is reserved for the command's output
+console.debug = console.info = options.verbose ? console.error : () => {}
+
+/**
+ * Parse a numeric option.
+ *
+ * @param {String} name - The option's name.
+ * @returns {Number|undefined} - The value, if the option is given.
+ * @throws {RangeError} - If the value isn't a number.
+ */
+function number (name) {
+  if (options[name] === undefined) {
+    return undefined
+  }
+  const value = Number(options[name])
+  if (!Number.isFinite(value)) {
+    throw new RangeError(`--${name} must be a number`)
+  }
+  return value
+}
+
+/**
+ * Print a result, as JSON or as aligned `key: value` lines.
+ *
+ * @param {Object} result - The result to print.
+ */
+function print (result) {
+  if (options.json) {
+    console.log(JSON.stringify(result))
+    return
+  }
+  for (const [key, value] of Object.entries(result)) {
+    console.log(`${key}:`.padEnd(20), typeof value === 'object' ? JSON.stringify(value) : value)
+  }
+}
+
+/**
+ * Wait for the next event of the given type.
+ *
+ * @param {EventTarget} target - The target dispatching the event.
+ * @param {String} type - The event type.
+ * @param {Number} timeout - Time to wait in milliseconds.
+ * @returns {Promise<*>} - The event's detail.
+ */
+function next (target, type, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${type} received within ${timeout} ms`)), timeout)
+    target.addEventListener(type, (event) => {
+      clearTimeout(timer)
+      resolve(event.detail)
+    }, { once: true })
+  })
+}
+
+/**
+ * Write measurements as CSV to stdout.
+ *
+ * @param {Object} psu - The connected DP100.
+ * @returns {Promise<void>} - Resolves once streaming stops.
+ */
+function stream (psu) {
+  const duration = number('duration')
+  return new Promise((resolve, reject) => {
+    const statistics = new Statistics({ maxGap: maxGapFor(psu.refreshRate) })
+    const stop = () => {
+      psu.removeEventListener('basicinfo', write)
+      clearTimeout(timer)
+      process.off('SIGINT', stop)
+      resolve()
+    }
+    const write = ({ detail: { vOut, iOut } }) => {
+      const t = (performance.timeOrigin + performance.now()) / 1000
+      const on = psu.settings?.state ? 1 : 0
+      statistics.add({ t, v: vOut, i: iOut, on })
+      process.stdout.write(csvRow({
+        t,
+        v: vOut,
+        i: iOut,
+        p: vOut * iOut,
+        vSet: psu.settings?.vo_set,
+        iSet: psu.settings?.io_set,
+        e: statistics.result.Wh,
+        on,
+      }) + '\n')
+    }
+    const timer = duration === undefined ? null : setTimeout(stop, duration * 1000)
+    process.stdout.write(`# device: ${psu.deviceTag}\n${csvHeader()}\n`)
+    process.stdout.on('error', (error) => error.code === 'EPIPE' ? stop() : reject(error))
+    process.on('SIGINT', stop)
+    psu.addEventListener('disconnect', () => reject(new Error('Device disconnected')), { once: true })
+    psu.addEventListener('basicinfo', write)
+  })
+}
+
+/**
+ * Power-cycle the output.
+ *
+ * @param {Object} psu - The connected DP100.
+ * @returns {Promise<Object>} - The timer's final status, see {@link OutputTimer#status}.
+ * @throws {Error} - If cycling ends before all cycles are done.
+ */
+async function cycle (psu) {
+  const job = timerJob({ mode: 'cycle', count: number('count'), on: number('on'), off: number('off') })
+  const timer = new OutputTimer(psu)
+  const ended = new Promise(resolve => timer.addEventListener('end', (event) => resolve(event.detail), { once: true }))
+  const stop = () => timer.stop('interrupted').catch(error => console.error(error))
+  process.on('SIGINT', stop)
+  try {
+    await timer.start(job)
+    const status = await ended
+    if (status.reason !== 'complete') {
+      throw new Error(`cycling ${status.reason} in cycle ${status.cycle} of ${job.count}`)
+    }
+    return status
+  } finally {
+    process.off('SIGINT', stop)
+  }
+}
+
+async function main () {
+  if (options.help || !command) {
+    process.stdout.write(usage)
+    return
+  }
+  const transport = options.simulate || options.battery
+    ? new SimulatedTransport(options.battery ? { battery: {} } : {})
+    : new NodeHIDTransport({ path: options.device })
+
+  if (command === 'list') {
+    if (options.simulate || options.battery) {
+      await transport.requestDevice()
+    }
+    const devices = (await transport.getDevices()).map(({ path, productName }) => ({ path, productName }))
+    if (options.json) {
+      console.log(JSON.stringify(devices))
+    } else {
+      devices.forEach(({ path, productName }) => console.log(path ?? '-', productName))
+    }
+    return
+  }
+
+  const psu = new (DP100())()
+  psu.transport = transport
+  psu.autoReconnect = false
+  psu.refreshRate = number('interval')
+  await psu.connect()
+  if (!psu.device) {
+    throw new Error('No DP100 found')
+  }
+  try {
+    switch (command) {
+      case 'info':
+        print({
+          device: psu.deviceTag,
+          ...psu.deviceInfo,
+          settings: psu.settings,
+          system: psu.system ?? await psu.getSystemInfo(),
+        })
+        break
+      case 'read': {
+        const { vOut, iOut, ...info } = psu.info ?? await next(psu, 'basicinfo')
+        // like the UI, a tripped protection is shown even though it switched the output off
+        const state = outputState(info)
+        const name = state.fault || psu.settings?.state ? state.name : 'OFF'
+        print({ vOut, iOut, pOut: vOut * iOut, state: name, ...info })
+        break
+      }
+      case 'set': {
+        const output = { vo_set: number('voltage'), io_set: number('current') }
+        const protection = { ovp_set: number('ovp'), ocp_set: number('ocp') }
+        if (Object.values({ ...output, ...protection }).every(value => value === undefined)) {
+          throw new Error('set needs at least one of --voltage, --current, --ovp or --ocp')
+        }
+        if (output.vo_set !== undefined || output.io_set !== undefined) {
+          await psu.setBasicOutput(output)
+        }
+        if (protection.ovp_set !== undefined || protection.ocp_set !== undefined) {
+          await psu.setBasicSettings(protection)
+        }
+        print(psu.settings)
+        break
+      }
+      case 'on':
+      case 'off':
+      case 'toggle': {
+        const state = { on: 1, off: 0, toggle: psu.settings.state ? 0 : 1 }[command]
+        print(await psu.setBasicOutput({ state }))
+        break
+      }
+      case 'stream':
+        await stream(psu)
+        break
+      case 'cycle': {
+        const { cycle: cycles, elapsed } = await cycle(psu)
+        print({ cycles, elapsed })
+        break
+      }
+      default:
+        throw new Error(`Unknown command ${command}, see --help`)
+    }
+  } finally {
+    psu.disconnect()
+  }
+}
+
+main().then(
+  () => process.exit(0),
+  (error) => {
+    console.error(`dp100: ${error.message}`)
+    process.exit(1)
+  },
+)
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+import { mkdir, writeFile } from 'node:fs/promises'
+import { dirname, join, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { gunzipSync } from 'node:zlib'
+
+/**
+ * The libraries served from `assets/vendor`, so the app runs without a CDN.
+ *
+ * The files are taken from the packages' tarballs on the npm registry. lit is published as
+ * separate ES modules, which the import map in index.html resolves by their bare names.
+ *
+ * Bump a version here, run `node bin/vendor.js` and commit the downloaded files,
+ * then bump `VERSION` in sw.js, so installed apps pick them up.
+ */
+const LIBRARIES = Object.freeze([
+  { name: 'lit', version: '3.2.1', files: ['index.js', 'LICENSE'] },
+  { name: 'lit-element', version: '4.1.1', files: ['lit-element.js', 'LICENSE'] },
+  { name: 'lit-html', version: '3.2.1', files: ['lit-html.js', 'is-server.js', 'LICENSE'] },
+  { name: '@lit/reactive-element', version: '2.0.4', files: ['reactive-element.js', 'css-tag.js', 'LICENSE'] },
+  { name: 'uplot', version: '1.6.31', files: ['dist/uPlot.esm.js', 'dist/uPlot.min.css', 'LICENSE'] },
+])
+
+const registry = 'https://registry.npmjs.org'
+const vendor = join(dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'vendor')
+
+/**
+ * Read the regular files of a tar archive.
+ *
+ * @param {Buffer} archive - The uncompressed archive.
+ * @returns {Map<String, Buffer>} - The files' contents by path.
+ */
+function untar (archive) {
+  const files = new Map()
+  const text = (start, length) => archive.toString('latin1', start, start + length).replace(/\0.*$/s, '')
+  for (let offset = 0; offset + 512 <= archive.length;) {
+    const name = text(offset, 100)
+    if (!name) {
+      break
+    }
+    const size = parseInt(text(offset + 124, 12).trim() || '0', 8)
+    const type = text(offset + 156, 1)
+    const prefix = text(offset + 345, 155)
+    if (type === '' || type === '0') {
+      files.set(prefix ? `${prefix}/${name}` : name, archive.subarray(offset + 512, offset + 512 + size))
+    }
+    offset += 512 + Math.ceil(size / 512) * 512
+  }
+  return files
+}
+
+try {
+  for (const { name, version, files } of LIBRARIES) {
+    const url = `${registry}/${name}/-/${name.split('/').pop()}-${version}.tgz`
+    const response = await fetch(url)
+    if (!response.ok) {
+      throw new Error(`${url}: ${response.status} ${response.statusText}`)
+    }
+    const contents = untar(gunzipSync(Buffer.from(await response.arrayBuffer())))
+    for (const file of files) {
+      // npm tarballs hold the package in `package/`
+      const content = contents.get(`package/${file}`)
+      if (!content) {
+        throw new Error(`${name}@${version} has no ${file}`)
+      }
+      const path = join(vendor, name, file.replace(/^dist\//, ''))
+      await mkdir(dirname(path), { recursive: true })
+      await writeFile(path, content)
+      console.log(`${relative(process.cwd(), path)} (${content.length} bytes)`)
+    }
+  }
+} catch (error) {
+  console.error(`vendor: ${error.message}`)
+  process.exit(1)
+}
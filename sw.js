@@ -0,0 +1,84 @@
+/**
+ * Service worker, so the app installs and runs offline.
+ *
+ * The app shell, its modules and the vendored libraries are precached per VERSION. Bump it
+ * with every release: the changed worker is installed alongside the running one, the app
+ * offers to reload, and the caches of older versions are deleted once the new one takes over.
+ */
+const VERSION = '1.0.0'
+const CACHE = `dp100-${VERSION}`
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'manifest.json',
+  'assets/icons/icon512_maskable.png',
+  'assets/icons/icon512_rounded.png',
+  'assets/vendor/lit/index.js',
+  'assets/vendor/lit-element/lit-element.js',
+  'assets/vendor/lit-html/lit-html.js',
+  'assets/vendor/lit-html/is-server.js',
+  'assets/vendor/@lit/reactive-element/reactive-element.js',
+  'assets/vendor/@lit/reactive-element/css-tag.js',
+  'assets/vendor/uplot/uPlot.esm.js',
+  'assets/vendor/uplot/uPlot.min.css',
+  ...[
+    'about', 'alarms', 'bench', 'charger', 'charging', 'curves', 'decimate', 'dp100', 'export', 'firmware',
+    'inspector', 'interlocks', 'metrics', 'monitor', 'offline', 'panel', 'presets', 'protocol', 'recordings',
+    'safety', 'sequencer', 'sequences', 'simulator', 'statistics', 'storage', 'system', 'timer', 'timing', 'tracer',
+    'transport', 'ui',
+  ].map(module => `assets/js/${module}.js`),
+]
+
+self.addEventListener('install', (event) => {
+  // `reload` bypasses the HTTP cache, which may still hold files of the previous version
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE)
+    await cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })))
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith('dp100-') && key !== CACHE) {
+        await caches.delete(key)
+      }
+    }
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('message', (event) => {
+  switch (event.data?.type) {
+    case 'skipWaiting':
+      self.skipWaiting()
+      break
+    case 'version':
+      event.ports[0]?.postMessage(VERSION)
+      break
+  }
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return
+  }
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE)
+    // the app is a single page, e.g. `index.html?simulate` is served from the cached shell
+    const cached = request.mode === 'navigate'
+      ? await cache.match('index.html')
+      : await cache.match(request, { ignoreSearch: true })
+    if (cached) {
+      return cached
+    }
+    const response = await fetch(request)
+    if (response.ok) {
+      // files missing from PRECACHE are kept once they have been loaded
+      cache.put(request, response.clone())
+    }
+    return response
+  })())
+})